@@ -30,6 +30,11 @@ async function createTables() {
         notifications JSONB DEFAULT '{}'::jsonb,
         call_video_message BOOLEAN DEFAULT false,
         presence_preference VARCHAR(50),
+        presence_override_expires_at TIMESTAMP,
+        status_text VARCHAR(100),
+        status_emoji VARCHAR(32),
+        presence_visibility VARCHAR(20) DEFAULT 'everyone',
+        presence_schedule JSONB,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         PRIMARY KEY (uid)
       )
@@ -54,12 +59,81 @@ async function createTables() {
       )
     `;
 
+    // Presence session history (one row per socket connection; analytics only)
+    const userPresenceSessionsSql = `
+      CREATE TABLE IF NOT EXISTS user_presence_sessions (
+        id BIGSERIAL PRIMARY KEY,
+        uid TEXT REFERENCES users(uid) ON DELETE CASCADE,
+        conn_id VARCHAR(100) NOT NULL,
+        platform VARCHAR(20),
+        started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_heartbeat_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMP
+      )
+    `;
+
+    // Username changes (durable; powers redirects from old handles)
+    const usernameHistorySql = `
+      CREATE TABLE IF NOT EXISTS username_history (
+        id BIGSERIAL PRIMARY KEY,
+        uid TEXT REFERENCES users(uid) ON DELETE CASCADE,
+        old_username VARCHAR(30) NOT NULL,
+        new_username VARCHAR(30) NOT NULL,
+        changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Presence contacts ("contacts only" visibility); durable copy of the Redis sets for rebuild
+    const userPresenceContactsSql = `
+      CREATE TABLE IF NOT EXISTS user_presence_contacts (
+        uid TEXT REFERENCES users(uid) ON DELETE CASCADE,
+        contact_uid TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (uid, contact_uid)
+      )
+    `;
+
     await db.query("default", usersSql);
     await db.query("default", userSettingsSql);
     await db.query("default", userProfilesSql);
+    await db.query("default", userPresenceSessionsSql);
+    await db.query("default", usernameHistorySql);
+    await db.query("default", userPresenceContactsSql);
+    await db.query(
+      "default",
+      "CREATE UNIQUE INDEX IF NOT EXISTS user_presence_sessions_open_idx ON user_presence_sessions (uid, conn_id) WHERE ended_at IS NULL"
+    );
+    await db.query(
+      "default",
+      "CREATE INDEX IF NOT EXISTS user_presence_sessions_uid_started_idx ON user_presence_sessions (uid, started_at)"
+    );
+    await db.query(
+      "default",
+      "CREATE INDEX IF NOT EXISTS user_presence_sessions_ended_idx ON user_presence_sessions (ended_at)"
+    );
+    await db.query(
+      "default",
+      "CREATE INDEX IF NOT EXISTS username_history_old_idx ON username_history (old_username, changed_at DESC)"
+    );
+    await db.query(
+      "default",
+      "CREATE INDEX IF NOT EXISTS username_history_uid_idx ON username_history (uid, changed_at DESC)"
+    );
+
+    // Columns added after the first release (CREATE TABLE IF NOT EXISTS skips existing tables)
+    const addedColumnsSql = [
+      "ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS presence_override_expires_at TIMESTAMP",
+      "ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS status_text VARCHAR(100)",
+      "ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS status_emoji VARCHAR(32)",
+      "ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS presence_visibility VARCHAR(20) DEFAULT 'everyone'",
+      "ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS presence_schedule JSONB",
+    ];
+    for (const sql of addedColumnsSql) {
+      await db.query("default", sql);
+    }
 
     console.log(
-      "✅ Tables created successfully (users, user_settings, user_profiles)"
+      "✅ Tables created successfully (users, user_settings, user_profiles, user_presence_sessions, username_history, user_presence_contacts)"
     );
   } catch (err) {
     console.error("❌ Error creating tables:", err.message);
@@ -22,6 +22,27 @@ async function dropTables() {
     `
     );
 
+    await db.query(
+      "default",
+      `
+      DROP TABLE IF EXISTS user_presence_sessions CASCADE;
+    `
+    );
+
+    await db.query(
+      "default",
+      `
+      DROP TABLE IF EXISTS username_history CASCADE;
+    `
+    );
+
+    await db.query(
+      "default",
+      `
+      DROP TABLE IF EXISTS user_presence_contacts CASCADE;
+    `
+    );
+
     await db.query(
       "default",
       `
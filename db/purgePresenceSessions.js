@@ -0,0 +1,28 @@
+// db/purgePresenceSessions.js
+// Close presence sessions whose connection silently went away and delete sessions past retention.
+// Usage: npm run purgePresenceSessions -- [--days=90]
+import "dotenv/config";
+import Users from "../service/Users.js";
+import { db } from "../utils/index.js";
+
+async function purgePresenceSessions() {
+  const daysArg = process.argv
+    .slice(2)
+    .find((arg) => arg.startsWith("--days="));
+  try {
+    const report = await Users.purgePresenceSessions({
+      retentionDays: daysArg ? Number(daysArg.split("=")[1]) : undefined,
+    });
+    if (!report.success) {
+      console.error("❌ Purge failed:", report.error);
+    } else {
+      console.log(
+        `✅ Presence sessions: ${report.closed} stale closed, ${report.purged} purged`
+      );
+    }
+  } finally {
+    await db.closeAll();
+  }
+}
+
+purgePresenceSessions();
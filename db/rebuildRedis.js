@@ -0,0 +1,57 @@
+// db/rebuildRedis.js
+// Rebuild Redis runtime state (usernames with holds and rename counters, presence overrides, status messages, warm CUD) from Postgres.
+// Usage: npm run rebuildRedis -- [--batch=500] [--from=<uid>] [--restart] [--warm-hours=24]
+import "dotenv/config";
+import Users from "../service/Users.js";
+import { RedisClient, db } from "../utils/index.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    args[key] = value ?? true;
+  }
+  return args;
+}
+
+async function rebuildRedis() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    await RedisClient.connect();
+
+    const report = await Users.rebuildRedisState({
+      batchSize: args.batch,
+      afterUid: args.from,
+      restart: !!args.restart,
+      warmCudWithinSeconds:
+        args["warm-hours"] !== undefined
+          ? Number(args["warm-hours"]) * 3600
+          : undefined,
+      onProgress: (progress) =>
+        console.log(
+          `… batch ${progress.batches}: ${progress.processed} users, last uid ${progress.lastUid}, ${progress.conflictCount} conflicts`
+        ),
+    });
+
+    if (!report.success) {
+      console.error(
+        `❌ Rebuild stopped at uid ${report.lastUid} (${report.error}). Re-run to resume.`
+      );
+    } else {
+      console.log("✅ Redis rebuilt from Postgres:", {
+        ...report,
+        conflicts: undefined,
+      });
+    }
+    if (report.conflicts.length > 0) {
+      console.log("⚠️ Conflicts (Redis kept):", report.conflicts);
+    }
+  } catch (err) {
+    console.error("❌ Rebuild failed:", err.message);
+  } finally {
+    await db.closeAll();
+    await RedisClient.disconnect();
+  }
+}
+
+rebuildRedis();
@@ -0,0 +1,49 @@
+// db/reconcileUsernames.js
+// Compare Redis usernames (username_to_uid_*, uid_to_username_*) with users.username_lower and repair drift.
+// Usage: npm run reconcileUsernames -- [--apply] [--batch=500]   (dry run unless --apply)
+import "dotenv/config";
+import Users from "../service/Users.js";
+import { RedisClient, db } from "../utils/index.js";
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    args[key] = value ?? true;
+  }
+  return args;
+}
+
+async function reconcileUsernames() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    await RedisClient.connect();
+
+    const report = await Users.reconcileUsernames({
+      apply: !!args.apply,
+      batchSize: args.batch,
+    });
+
+    if (!report.success) {
+      console.error("❌ Reconciliation failed:", report.error);
+      return;
+    }
+    console.log(
+      `${report.dryRun ? "🔍 Dry run" : "✅ Applied"}: ${report.mapEntries} map entries, ${report.mirrors} mirrors, ${report.issueCount} issues, ${report.fixed} fixed`,
+      report.counts
+    );
+    if (report.issues.length > 0) {
+      console.log("⚠️ Issues:", report.issues);
+    }
+    if (report.dryRun && report.issueCount > 0) {
+      console.log("Re-run with --apply to fix them.");
+    }
+  } catch (err) {
+    console.error("❌ Reconciliation failed:", err.message);
+  } finally {
+    await db.closeAll();
+    await RedisClient.disconnect();
+  }
+}
+
+reconcileUsernames();
@@ -2,6 +2,7 @@ import {
   ErrorHandler,
   Logger,
   db,
+  DateTime,
   SafeUtils,
   RedisClient,
 } from "../utils/index.js";
@@ -9,44 +10,540 @@ import {
 export default class Users {
   static REDIS_KEY_PREFIX = Object.freeze({
     CRITICAL_USER_DATA: "cud",
+    CRITICAL_USER_DATA_LOCK: "cud_lock_", // short hydration lock, one per uid
     PRESENCE_SUMMARY_USER: "presence_summary_user_",
     PRESENCE_OVERRIDE_USER: "presence_override_user_",
+    PRESENCE_CONNECTIONS_USER: "presence_connections_user_",
+    PRESENCE_LAST_SEEN_USER: "presence_last_seen_user_",
+    PRESENCE_OVERRIDE_META_USER: "presence_override_meta_user_",
+    PRESENCE_STATUS_MESSAGE_USER: "presence_status_message_user_",
+    PRESENCE_ACTIVITY_USER: "presence_activity_user_",
+    PRESENCE_VISIBILITY_USER: "presence_visibility_user_",
+    PRESENCE_PLATFORM: "presence_platform_", // presence_platform_{platform}_user_{uid}
+    PRESENCE_SCHEDULE_USER: "presence_schedule_user_",
+    PRESENCE_CONTACTS_USER: "presence_contacts_user_", // set of contact uids (durable copy: user_presence_contacts)
     USERNAME_TO_UID: "username_to_uid_",
     UID_TO_USERNAME: "uid_to_username_",
+    USERNAME_HOLD: "username_hold_", // released name → previous owner uid, expires with the hold
+    USERNAME_SKELETON: "username_skeleton_", // confusable skeleton → owner uid (see usernameSkeleton)
+    USERNAME_INDEX: "username_index", // zset of current usernames, all score 0 (prefix search by lex)
+    USERNAME_CHANGES_USER: "username_changes_user_", // zset of recent username changes, scored by epoch seconds
   });
 
   static REDIS_TIMING_SECONDS = Object.freeze({
     HEARTBEAT_INTERVAL: 25,
     PRESENCE_TTL: 300,
     CRITICAL_USER_DATA_TTL: 300,
+    LAST_SEEN_TTL: 2592000, // 30 days; older users fall back to Postgres
+    PRESENCE_OVERRIDE_META_GRACE: 60,
+    // Idle period before a connected user is shown as (automatic) away
+    IDLE_AWAY_AFTER: Number(process.env.PRESENCE_IDLE_AWAY_SECONDS) || 600,
+    // How long an activity timestamp outlives the user's last heartbeat (heartbeats keep it while connected);
+    // clients that never report activity are never auto-away
+    ACTIVITY_TTL: 86400,
+    // How long a released username stays reserved for its previous owner (0 disables the hold)
+    USERNAME_HOLD: Number(process.env.USERNAME_HOLD_SECONDS ?? 2592000), // 30 days
+  });
+
+  // CUD hydration: entries refresh after CRITICAL_USER_DATA_TTL (± jitter) but stay readable for
+  // STALE_GRACE more seconds, so callers that lose the hydration lock can serve the old copy.
+  static CUD_CACHE_POLICY = Object.freeze({
+    TTL_JITTER_RATIO: 0.2, // TTL drawn from [TTL × 0.8, TTL × 1.2]
+    STALE_GRACE: 60,
+    LOCK_TTL: 5,
+    LOCK_WAIT_MS: 50, // poll interval while another process hydrates
+    LOCK_WAIT_ATTEMPTS: 6,
+  });
+
+  // Optional in-process LRU in front of Redis for CUD reads (CUD_L1_CACHE=1). It holds the durable fields only
+  // (presence is merged on every read) for TTL_MS at most; writes invalidate locally and, batched every
+  // INVALIDATION_FLUSH_MS, on other nodes over pub/sub.
+  static CUD_L1_POLICY = Object.freeze({
+    ENABLED: ["1", "true"].includes(
+      String(process.env.CUD_L1_CACHE || "").toLowerCase()
+    ),
+    MAX_ENTRIES: Number(process.env.CUD_L1_MAX_ENTRIES) || 1000,
+    TTL_MS: Number(process.env.CUD_L1_TTL_MS) || 5000,
+    // Writer-only nodes (e.g. socket servers) set CUD_L1_PUBLISH=1 so nodes with the cache hear about their writes
+    PUBLISH_INVALIDATIONS: ["1", "true"].includes(
+      String(
+        process.env.CUD_L1_PUBLISH ?? process.env.CUD_L1_CACHE ?? ""
+      ).toLowerCase()
+    ),
+    INVALIDATION_CHANNEL: "cud_invalidations",
+    INVALIDATION_FLUSH_MS: 50,
+  });
+
+  // users column → CUD field patched by updateUserField(s). CUD is the only Redis entry built from
+  // Postgres columns; its username comes from username_lower, which only setUsername may write.
+  static CUD_SOURCE_COLUMNS = Object.freeze({
+    display_name: "displayName",
+    avatar_url: "avatar",
+  });
+
+  // Durable table → column → views that read it. The builders compose CUD with live Postgres reads,
+  // so only "cud" has a cached copy to refresh (see refreshDurableDependents).
+  static DURABLE_FIELD_DEPENDENTS = Object.freeze({
+    users: Object.freeze({
+      username_lower: ["cud", "buildUserData", "buildUserProfile"],
+      display_name: ["cud", "buildUserData", "buildUserProfile"],
+      avatar_url: ["cud", "buildUserData", "buildUserProfile"],
+      public_uid: ["buildUserData", "buildUserProfile"],
+      role: ["buildUserData"],
+      is_new_user: ["buildUserData"],
+    }),
+    user_settings: Object.freeze({
+      locale: ["buildUserSettings"],
+      notifications: ["buildUserSettings"],
+      call_video_message: ["buildUserSettings"],
+    }),
+    user_profiles: Object.freeze(
+      Object.fromEntries(
+        [
+          "bio",
+          "gender",
+          "age",
+          "body_type",
+          "hair_color",
+          "country",
+          "cover_image",
+          "background_images",
+          "social_urls",
+          "additional_urls",
+        ].map((column) => [column, ["buildUserProfile"]])
+      )
+    ),
+  });
+
+  // Columns the generic durable writers refuse, with the error suffix they report. The presence
+  // columns have Redis runtime copies that only their own setters keep in step.
+  static READ_ONLY_USER_COLUMNS = Object.freeze({
+    uid: "uid is read-only",
+    username_lower: "use setUsername to change usernames",
+    presence_preference: "use setPresenceOverride",
+    presence_override_expires_at: "use setPresenceOverride",
+    status_text: "use setCustomStatus",
+    status_emoji: "use setCustomStatus",
+    presence_visibility: "use setPresenceVisibility",
+    presence_schedule: "use setPresenceSchedule",
   });
 
   static PRESENCE_MODE = Object.freeze({
     REAL: "real",
     AWAY: "away",
     OFFLINE: "offline",
+    BUSY: "busy",
+    DND: "dnd",
+    INVISIBLE: "invisible", // online to the user's own sessions, offline to everyone else
+  });
+
+  static PRESENCE_PLATFORM = Object.freeze({
+    WEB: "web",
+    MOBILE: "mobile",
+    DESKTOP: "desktop",
+  });
+
+  // Client descriptors accepted on heartbeats, folded onto PRESENCE_PLATFORM
+  static PRESENCE_PLATFORM_ALIASES = Object.freeze({
+    browser: "web",
+    ios: "mobile",
+    ipados: "mobile",
+    android: "mobile",
+    electron: "desktop",
+    windows: "desktop",
+    macos: "desktop",
+    linux: "desktop",
+  });
+
+  static PRESENCE_SCHEDULE_POLICY = Object.freeze({
+    MAX_RANGES: 14,
+    OUTSIDE_MODES: ["away", "offline"],
+    WEEKDAYS: [
+      "monday",
+      "tuesday",
+      "wednesday",
+      "thursday",
+      "friday",
+      "saturday",
+      "sunday",
+    ],
+    TIME_REGEX: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/,
+    WINDOW_CACHE_MAX: 1000, // schedules whose windows are kept per process (rebuilt each UTC day)
+  });
+
+  static PRESENCE_VISIBILITY = Object.freeze({
+    EVERYONE: "everyone",
+    CONTACTS: "contacts",
+    NOBODY: "nobody",
+  });
+
+  // What viewer-aware reads report for users hidden from the viewer ("offline" or "unknown")
+  static PRESENCE_VISIBILITY_HIDDEN_STATUS = "offline";
+
+  static STATUS_MESSAGE_POLICY = Object.freeze({
+    TEXT_MAX_LEN: 100,
+    EMOJI_MAX_LEN: 16,
+    // Emoji characters only, at least one pictograph or flag (digits alone are Emoji_Component too)
+    EMOJI_REGEX:
+      /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\u{FE0F}]+$/u,
+  });
+
+  static OVERRIDE_DURATION_UNIT_SECONDS = Object.freeze({
+    s: 1,
+    m: 60,
+    h: 3600,
+    d: 86400,
+    w: 604800,
   });
 
   static USERNAME_POLICY = Object.freeze({
     MIN_LEN: 3,
-    MAX_LEN: 30,
+    MAX_LEN: 30, // characters (code points in Unicode mode)
     REGEX: /^[a-zA-Z0-9._-]{3,30}$/,
+    // Opt-in Unicode mode: NFKC + case folding, letters from one allowed script (plus 0-9 . _ -)
+    UNICODE: ["1", "true"].includes(
+      String(process.env.USERNAME_UNICODE || "").toLowerCase()
+    ),
+    UNICODE_REGEX: /^[\p{L}\p{M}0-9._-]+$/u,
+    UNICODE_SCRIPTS: Object.freeze(
+      String(
+        process.env.USERNAME_UNICODE_SCRIPTS ||
+          "Latin,Greek,Cyrillic,Arabic,Hebrew,Devanagari,Thai,Han,Hiragana,Katakana,Hangul"
+      )
+        .split(",")
+        .map((script) => script.trim())
+        .filter(Boolean)
+    ),
+    // Scripts that are written together and so do not count as mixed
+    UNICODE_SCRIPT_SETS: Object.freeze([
+      Object.freeze(["Han", "Hiragana", "Katakana"]),
+      Object.freeze(["Han", "Hangul"]),
+    ]),
+  });
+
+  static USERNAME_HISTORY_POLICY = Object.freeze({
+    // How long an old handle keeps redirecting to its owner's current username (0 disables)
+    REDIRECT_DAYS: Number(process.env.USERNAME_REDIRECT_DAYS ?? 90),
+  });
+
+  // Limits on renames (first claims are free); setUsername(..., { bypassLimits: true }) skips them for admins
+  static USERNAME_CHANGE_POLICY = Object.freeze({
+    MAX_CHANGES: Number(process.env.USERNAME_MAX_CHANGES ?? 3), // per WINDOW_SECONDS, 0 disables
+    WINDOW_SECONDS: 30 * 86400,
+    COOLDOWN_SECONDS: Number(
+      process.env.USERNAME_CHANGE_COOLDOWN_SECONDS ?? 3600
+    ), // between changes, 0 disables
+  });
+
+  static USERNAME_SEARCH_POLICY = Object.freeze({
+    DEFAULT_LIMIT: 10,
+    MAX_LIMIT: 50,
+  });
+
+  static USERNAME_SUGGESTION_POLICY = Object.freeze({
+    DEFAULT_COUNT: 5,
+    MAX_COUNT: 20,
+    POOL_FACTOR: 4, // candidates generated (and looked up in one MGET) per requested suggestion
+    SEPARATORS: Object.freeze(["", "_", ".", "-"]),
+  });
+
+  // Layers applied on top of USERNAME_POLICY. Extend per deployment with comma-separated
+  // USERNAME_RESERVED / USERNAME_DENYLIST env vars (e.g. the moderation team's slur list).
+  static USERNAME_PROTECTION = Object.freeze({
+    // Exact matches (compared after leetspeak folding, so "adm1n" is reserved too)
+    RESERVED: Object.freeze([
+      "admin",
+      "administrator",
+      "root",
+      "system",
+      "support",
+      "help",
+      "helpdesk",
+      "moderator",
+      "mod",
+      "staff",
+      "team",
+      "official",
+      "security",
+      "abuse",
+      "billing",
+      "info",
+      "contact",
+      "api",
+      "www",
+      "mail",
+      "noreply",
+      "no-reply",
+      "null",
+      "undefined",
+      "anonymous",
+      "everyone",
+      "here",
+      "me",
+      "settings",
+      "login",
+      "logout",
+      "signup",
+      ...String(process.env.USERNAME_RESERVED || "")
+        .split(",")
+        .map((word) => word.trim())
+        .filter(Boolean),
+    ]),
+    // Whole-token matches after leetspeak folding; tokens are split on . _ - ("sh1t_lord" but not "scunthorpe")
+    DENYLIST: Object.freeze([
+      "fuck",
+      "shit",
+      "cunt",
+      "nazi",
+      "hitler",
+      ...String(process.env.USERNAME_DENYLIST || "")
+        .split(",")
+        .map((word) => word.trim())
+        .filter(Boolean),
+    ]),
+    // Visual lookalikes only, folded in order (multi-character first). Two users collide when their
+    // skeletons are equal, so nothing here may merge names that read differently (no i→l, no repeats).
+    CONFUSABLES: Object.freeze([
+      ["rn", "m"],
+      ["vv", "w"],
+      ["0", "o"],
+      ["1", "l"],
+      ["|", "l"],
+      // Whole-script Cyrillic/Greek lookalikes (Unicode mode)
+      ["а", "a"],
+      ["е", "e"],
+      ["о", "o"],
+      ["р", "p"],
+      ["с", "c"],
+      ["у", "y"],
+      ["х", "x"],
+      ["і", "i"],
+      ["ј", "j"],
+      ["ο", "o"],
+      ["α", "a"],
+      ["ν", "v"],
+      ["ι", "i"],
+    ]),
+    // Extra folding for RESERVED/DENYLIST matching only (on top of the skeleton)
+    LEETSPEAK: Object.freeze([
+      ["l", "i"],
+      ["!", "i"],
+      ["3", "e"],
+      ["4", "a"],
+      ["@", "a"],
+      ["5", "s"],
+      ["$", "s"],
+      ["7", "t"],
+      ["8", "b"],
+      ["9", "g"],
+    ]),
+  });
+
+  static RECONCILE_POLICY = Object.freeze({
+    BATCH_SIZE: 500,
+    SCAN_COUNT: 1000,
+    MAX_REPORTED_ISSUES: 1000,
+  });
+
+  static REBUILD_POLICY = Object.freeze({
+    BATCH_SIZE: 500,
+    WARM_CUD_WITHIN_SECONDS: 86400, // pre-warm CUD for users active in the last day
+    MAX_REPORTED_CONFLICTS: 1000,
+    CHECKPOINT_KEY: "rebuild_redis_state_checkpoint",
   });
 
   static LOGGER_FLAG_USERS = "users";
 
+  static PRESENCE_SESSION_POLICY = Object.freeze({
+    RETENTION_DAYS: Number(process.env.PRESENCE_SESSION_RETENTION_DAYS) || 90,
+    HEARTBEAT_WRITE_THROTTLE: 60, // seconds between last_heartbeat_at writes per session
+    DEFAULT_RANGE_DAYS: 7,
+    MAX_RANGE_DAYS: 92,
+    MAX_SESSIONS: 1000, // rows returned by getPresenceSessions
+    MAX_DAILY_SESSIONS: 10000, // rows scanned by getDailyOnlineMinutes
+  });
+
+  // Max heartbeats accepted by one updatePresenceFromSocketBatch call
+  static HEARTBEAT_BATCH_MAX = 5000;
+
+  // Lua scripts run via RedisClient.eval. No "#" or single quotes: the dev proxy DSL reserves both.
+  static REDIS_SCRIPTS = Object.freeze({
+    // KEYS: new username→uid, uid→username mirror, old username→uid, new name hold, old name hold,
+    //       new name skeleton, old name skeleton, username index
+    // ARGV: uid, new username, expected old username ("" for none), hold seconds for the old name
+    // Returns {"OK", old username, seconds left on a hold the uid took back}
+    //       | {"TAKEN", owner} | {"HELD", ttl} | {"CONFUSABLE", owner} | {"RETRY", mirror}
+    CLAIM_USERNAME: `
+      local owner = redis.call("GET", KEYS[1])
+      if owner and owner ~= ARGV[1] then return {"TAKEN", owner} end
+      local holder = redis.call("GET", KEYS[4])
+      if holder and holder ~= ARGV[1] then
+        return {"HELD", tostring(redis.call("TTL", KEYS[4]))}
+      end
+      local lookalike = redis.call("GET", KEYS[6])
+      if lookalike and lookalike ~= ARGV[1] then return {"CONFUSABLE", lookalike} end
+      local current = redis.call("GET", KEYS[2]) or ""
+      if current ~= ARGV[3] then return {"RETRY", current} end
+      local heldTtl = 0
+      if holder then
+        heldTtl = redis.call("TTL", KEYS[4])
+        redis.call("DEL", KEYS[4])
+      end
+      redis.call("SET", KEYS[1], ARGV[1])
+      redis.call("SET", KEYS[2], ARGV[2])
+      redis.call("SET", KEYS[6], ARGV[1])
+      redis.call("ZADD", KEYS[8], 0, ARGV[2])
+      if ARGV[3] ~= "" and ARGV[3] ~= ARGV[2] and redis.call("GET", KEYS[3]) == ARGV[1] then
+        redis.call("DEL", KEYS[3])
+        redis.call("ZREM", KEYS[8], ARGV[3])
+        local hold = tonumber(ARGV[4])
+        if hold > 0 then
+          redis.call("SET", KEYS[5], ARGV[1], "EX", hold)
+        end
+        if KEYS[7] ~= KEYS[6] and redis.call("GET", KEYS[7]) == ARGV[1] then
+          if hold > 0 then redis.call("EXPIRE", KEYS[7], hold) else redis.call("DEL", KEYS[7]) end
+        end
+      end
+      return {"OK", current, tostring(heldTtl)}
+    `,
+    // Same KEYS as CLAIM_USERNAME; ARGV: uid, new username, old username ("" for none), hold seconds to restore on the new name.
+    // Returns 1 when fully restored, 0 when the mirror moved on, 2 when the old name was taken by someone else meanwhile.
+    ROLLBACK_USERNAME_CLAIM: `
+      if (redis.call("GET", KEYS[2]) or "") ~= ARGV[2] then return 0 end
+      if ARGV[3] == ARGV[2] then return 1 end
+      local held = tonumber(ARGV[4])
+      if redis.call("GET", KEYS[1]) == ARGV[1] then
+        redis.call("DEL", KEYS[1])
+        redis.call("ZREM", KEYS[8], ARGV[2])
+      end
+      if held > 0 then
+        redis.call("SET", KEYS[4], ARGV[1], "EX", held)
+      end
+      if KEYS[6] ~= KEYS[7] and redis.call("GET", KEYS[6]) == ARGV[1] then
+        if held > 0 then redis.call("EXPIRE", KEYS[6], held) else redis.call("DEL", KEYS[6]) end
+      end
+      if ARGV[3] == "" then
+        redis.call("DEL", KEYS[2])
+        return 1
+      end
+      redis.call("SET", KEYS[2], ARGV[3])
+      if redis.call("GET", KEYS[5]) == ARGV[1] then redis.call("DEL", KEYS[5]) end
+      local owner = redis.call("GET", KEYS[3])
+      if owner and owner ~= ARGV[1] then return 2 end
+      redis.call("SET", KEYS[3], ARGV[1])
+      redis.call("ZADD", KEYS[8], 0, ARGV[3])
+      local lookalike = redis.call("GET", KEYS[7])
+      if not lookalike or lookalike == ARGV[1] then redis.call("SET", KEYS[7], ARGV[1]) end
+      return 1
+    `,
+    // Reconciliation repairs. KEYS: username→uid, uid→username mirror, skeleton, username index; ARGV: uid, username
+    // Drops whichever of the pair still points at the other; returns the number of entries removed.
+    RELEASE_USERNAME_ENTRIES: `
+      local removed = 0
+      if redis.call("GET", KEYS[1]) == ARGV[1] then
+        redis.call("DEL", KEYS[1])
+        redis.call("ZREM", KEYS[4], ARGV[2])
+        if redis.call("GET", KEYS[3]) == ARGV[1] then redis.call("DEL", KEYS[3]) end
+        removed = removed + 1
+      end
+      if redis.call("GET", KEYS[2]) == ARGV[2] then
+        redis.call("DEL", KEYS[2])
+        removed = removed + 1
+      end
+      return removed
+    `,
+    // Fills in a missing side of the pair; 0 when either side now belongs to something else.
+    LINK_USERNAME_ENTRIES: `
+      local owner = redis.call("GET", KEYS[1])
+      if owner and owner ~= ARGV[1] then return 0 end
+      local mirror = redis.call("GET", KEYS[2])
+      if mirror and mirror ~= ARGV[2] then return 0 end
+      redis.call("SET", KEYS[1], ARGV[1])
+      redis.call("SET", KEYS[2], ARGV[2])
+      redis.call("ZADD", KEYS[4], 0, ARGV[2])
+      if not redis.call("GET", KEYS[3]) then redis.call("SET", KEYS[3], ARGV[1]) end
+      return 1
+    `,
+    // Rename limits (USERNAME_CHANGE_POLICY). KEYS: changes zset; ARGV: now (s), member, window, max, cooldown
+    // Counts and records the rename in one step, so concurrent renames cannot share a slot.
+    // Returns {"OK"} or {reason, retryAt}; the reason is whichever limit lifts later.
+    RESERVE_USERNAME_CHANGE: `
+      local now = tonumber(ARGV[1])
+      local window = tonumber(ARGV[3])
+      local maxChanges = tonumber(ARGV[4])
+      local cooldown = tonumber(ARGV[5])
+      redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now - window)
+      local count = redis.call("ZCARD", KEYS[1])
+      local retryAt = 0
+      local reason = false
+      if count > 0 and cooldown > 0 then
+        local last = redis.call("ZRANGE", KEYS[1], -1, -1, "WITHSCORES")
+        local cooldownEnd = tonumber(last[2]) + cooldown
+        if cooldownEnd > now then
+          retryAt = cooldownEnd
+          reason = "USERNAME_CHANGE_COOLDOWN"
+        end
+      end
+      if maxChanges > 0 and count >= maxChanges then
+        local oldest = redis.call("ZRANGE", KEYS[1], count - maxChanges, count - maxChanges, "WITHSCORES")
+        local windowEnd = tonumber(oldest[2]) + window
+        if windowEnd > retryAt then
+          retryAt = windowEnd
+          reason = "USERNAME_CHANGE_LIMIT"
+        end
+      end
+      if reason then return {reason, tostring(retryAt)} end
+      redis.call("ZADD", KEYS[1], now, ARGV[2])
+      redis.call("EXPIRE", KEYS[1], window)
+      return {"OK"}
+    `,
+  });
+
+  // KEYS: lock; ARGV: token, ttl seconds. Returns 1 when acquired.
+  static LOCK_SCRIPTS = Object.freeze({
+    ACQUIRE: `
+      if redis.call("SET", KEYS[1], ARGV[1], "NX", "EX", tonumber(ARGV[2])) then return 1 end
+      return 0
+    `,
+    RELEASE: `
+      if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end
+      return 0
+    `,
+  });
+
+  static USERNAME_CLAIM_MAX_ATTEMPTS = 3;
+
+  static PRESENCE_EVENTS_CHANNEL = "presence_events";
+
+  // In-process presence change listeners (see onPresenceChange)
+  static presenceListeners = new Set();
+
+  // In-flight CUD hydrations by uid (single-flight, see loadCriticalUserData)
+  static cudHydrations = new Map();
+  // presenceScheduleWindows cache: schedule JSON → windows, cleared when the UTC day changes
+  static presenceScheduleWindowCache = { day: null, windows: new Map() };
+
+  // L1 CUD cache (see CUD_L1_POLICY): uid → { value, expiresAt }, Map order = LRU order
+  static cudL1 = new Map();
+  static cudL1Stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  static cudL1PendingInvalidations = new Set();
+  static cudL1FlushTimer = null;
+  static cudL1NodeId = `${process.pid}-${Math.random().toString(36).slice(2)}`;
+
   /* ================================
    HELPER FUNCTIONS (INTERNAL)
    ================================ */
 
   /**
    * Normalize username to lowercase, trimmed.
+   * In Unicode mode: NFKC + case folding, so "Ａｌｉｃｅ", "ALICE" and "alice" share one key.
    * @param {string} username
    */
   static normalizeUsername(username) {
-    const safe = (username ?? "").toString().trim().toLowerCase();
-    // console.log("Normalizing username:", safe);
-    return safe;
+    const safe = (username ?? "").toString().trim();
+    if (!this.USERNAME_POLICY.UNICODE) return safe.toLowerCase();
+    // Upper-then-lower approximates full case folding (ß → ss, ς → σ)
+    return safe.normalize("NFKC").toUpperCase().toLowerCase().normalize("NFKC");
   }
 
   /**
@@ -56,12 +553,134 @@ export default class Users {
    */
   static isUsernameFormatValid(username) {
     const u = this.normalizeUsername(username);
+    const policy = this.USERNAME_POLICY;
+    const length = policy.UNICODE ? Array.from(u).length : u.length;
+    if (length < policy.MIN_LEN || length > policy.MAX_LEN) return false;
+    if (!policy.UNICODE) return policy.REGEX.test(u);
+    return (
+      policy.UNICODE_REGEX.test(u) &&
+      !/\p{Default_Ignorable_Code_Point}/u.test(u) &&
+      this.usernameScripts(u) !== null
+    );
+  }
+
+  /**
+   * Scripts used by the letters of a normalized username (Unicode mode).
+   * Every combining mark must follow a letter and belong to that letter's script, so overlays and
+   * stray diacritics NFKC could not compose ("a\u0336lice") are refused.
+   * @param {string} username
+   * @returns {string[]|null} null when a letter is outside USERNAME_POLICY.UNICODE_SCRIPTS, a mark is
+   *   detached or foreign, or scripts are mixed
+   */
+  static usernameScripts(username) {
+    const { UNICODE_SCRIPTS, UNICODE_SCRIPT_SETS } = this.USERNAME_POLICY;
+    const used = new Set();
+    let base = null;
+    for (const char of username) {
+      if (/\p{M}/u.test(char)) {
+        if (
+          !base ||
+          !new RegExp(`\\p{Script_Extensions=${base}}`, "u").test(char)
+        ) {
+          return null;
+        }
+        continue;
+      }
+      if (!/\p{L}/u.test(char)) {
+        base = null;
+        continue;
+      }
+      const script = UNICODE_SCRIPTS.find((name) =>
+        new RegExp(`\\p{Script=${name}}`, "u").test(char)
+      );
+      if (!script) return null;
+      used.add(script);
+      base = script;
+    }
+    const scripts = [...used];
     if (
-      u.length < this.USERNAME_POLICY.MIN_LEN ||
-      u.length > this.USERNAME_POLICY.MAX_LEN
-    )
-      return false;
-    return this.USERNAME_POLICY.REGEX.test(u);
+      scripts.length > 1 &&
+      !UNICODE_SCRIPT_SETS.some((set) => scripts.every((s) => set.includes(s)))
+    ) {
+      return null;
+    }
+    return scripts;
+  }
+
+  /**
+   * Confusable skeleton: lowercase, separators dropped, script-neutral diacritics stripped (é→e) and
+   * visual lookalikes folded (0→o, 1→l, rn→m, …). "a1ice" and "al.ice" both become "alice";
+   * "matthew" and "mathew" stay apart. Kana voicing marks are kept (か and が differ).
+   * @param {string} username
+   * @returns {string}
+   */
+  static usernameSkeleton(username) {
+    let skeleton = this.normalizeUsername(username)
+      .normalize("NFD")
+      .replace(/(?![\u3099\u309A])\p{Script=Inherited}/gu, "")
+      .replace(/[._-]/g, "");
+    for (const [from, to] of this.USERNAME_PROTECTION.CONFUSABLES) {
+      skeleton = skeleton.split(from).join(to);
+    }
+    return skeleton;
+  }
+
+  /**
+   * Skeleton with leetspeak folded too (l/1→i, 3→e, 4→a, …), for reserved/denylist matching.
+   * @param {string} text
+   * @returns {string}
+   */
+  static usernameLeetForm(text) {
+    let folded = this.usernameSkeleton(text);
+    for (const [from, to] of this.USERNAME_PROTECTION.LEETSPEAK) {
+      folded = folded.split(from).join(to);
+    }
+    return folded;
+  }
+
+  /**
+   * Whether a denylisted word appears as a whole token of the username. Tokens are split on . _ -;
+   * leading/trailing digits are ignored ("nazi88") and repeats collapsed ("fuuuck").
+   * @param {string} username
+   * @returns {boolean}
+   */
+  static usernameHasDenylistedToken(username) {
+    const squash = (text) =>
+      this.usernameLeetForm(text).replace(/(.)\1+/gu, "$1");
+    const words = new Set(this.USERNAME_PROTECTION.DENYLIST.map(squash));
+    return this.normalizeUsername(username)
+      .split(/[._-]+/)
+      .filter(Boolean)
+      .some((token) =>
+        [token, token.replace(/\d+$/, ""), token.replace(/^\d+/, "")].some(
+          (variant) => variant && words.has(squash(variant))
+        )
+      );
+  }
+
+  /**
+   * Static username policy: format, reserved words, denylist. Confusable lookalikes of names
+   * already in use need Redis and are checked by isUsernameTaken / the claim script.
+   * @param {string} username
+   * @returns {{ allowed: boolean, reason: 'INVALID_USERNAME_FORMAT'|'USERNAME_RESERVED'|'USERNAME_BLOCKED'|null }}
+   */
+  static evaluateUsernamePolicy(username) {
+    const reject = (reason) => ({ allowed: false, reason });
+    if (!this.isUsernameFormatValid(username)) {
+      return reject("INVALID_USERNAME_FORMAT");
+    }
+    const folded = this.usernameLeetForm(username);
+    if (
+      this.USERNAME_PROTECTION.RESERVED.some(
+        (word) => this.usernameLeetForm(word) === folded
+      )
+    ) {
+      return reject("USERNAME_RESERVED");
+    }
+    if (this.usernameHasDenylistedToken(username)) {
+      return reject("USERNAME_BLOCKED");
+    }
+    return { allowed: true, reason: null };
   }
 
   /**
@@ -84,6 +703,9 @@ export default class Users {
   static keyCriticalUserData(uid) {
     return `${Users.REDIS_KEY_PREFIX.CRITICAL_USER_DATA}${uid}`;
   }
+  static keyCriticalUserDataLock(uid) {
+    return `${Users.REDIS_KEY_PREFIX.CRITICAL_USER_DATA_LOCK}${uid}`;
+  }
   static keyPresenceSummary(uid) {
     return `${Users.REDIS_KEY_PREFIX.PRESENCE_SUMMARY_USER}${uid}`;
   }
@@ -95,6 +717,33 @@ export default class Users {
     // );
     return `${Users.REDIS_KEY_PREFIX.PRESENCE_OVERRIDE_USER}${uid}`;
   }
+  static keyPresenceConnections(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_CONNECTIONS_USER}${uid}`;
+  }
+  static keyPresenceOverrideMeta(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_OVERRIDE_META_USER}${uid}`;
+  }
+  static keyPresenceStatusMessage(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_STATUS_MESSAGE_USER}${uid}`;
+  }
+  static keyPresenceActivity(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_ACTIVITY_USER}${uid}`;
+  }
+  static keyPresencePlatform(uid, platform) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_PLATFORM}${platform}_user_${uid}`;
+  }
+  static keyPresenceSchedule(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_SCHEDULE_USER}${uid}`;
+  }
+  static keyPresenceVisibility(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_VISIBILITY_USER}${uid}`;
+  }
+  static keyPresenceContacts(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_CONTACTS_USER}${uid}`;
+  }
+  static keyPresenceLastSeen(uid) {
+    return `${Users.REDIS_KEY_PREFIX.PRESENCE_LAST_SEEN_USER}${uid}`;
+  }
   static keyUsernameToUid(name) {
     return `${Users.REDIS_KEY_PREFIX.USERNAME_TO_UID}${Users.normalizeUsername(
       name
@@ -103,6 +752,34 @@ export default class Users {
   static keyUidToUsername(uid) {
     return `${Users.REDIS_KEY_PREFIX.UID_TO_USERNAME}${uid}`;
   }
+  static keyUsernameIndex() {
+    return Users.REDIS_KEY_PREFIX.USERNAME_INDEX;
+  }
+  static keyUsernameSkeleton(name) {
+    return `${Users.REDIS_KEY_PREFIX.USERNAME_SKELETON}${Users.usernameSkeleton(
+      name
+    )}`;
+  }
+  static keyUsernameChanges(uid) {
+    return `${Users.REDIS_KEY_PREFIX.USERNAME_CHANGES_USER}${uid}`;
+  }
+  static keyUsernameHold(name) {
+    return `${Users.REDIS_KEY_PREFIX.USERNAME_HOLD}${Users.normalizeUsername(
+      name
+    )}`;
+  }
+  /**
+   * Extract the uid from a (possibly environment-prefixed) Redis key, or null if the prefix doesn't match.
+   * @param {string} key
+   * @param {string} prefix
+   * @returns {string|null}
+   */
+  static uidFromKey(key, prefix) {
+    const at = (key ?? "").indexOf(prefix);
+    if (at === -1) return null;
+    return key.slice(at + prefix.length) || null;
+  }
+
   /**
    * Read JSON value from Redis (string→object).
    */
@@ -116,506 +793,4298 @@ export default class Users {
     }
   }
 
-  static validateInputs(rulesObject) {
-    // Example: SafeUtils.sanitizeValidate({ uid: 'required|string|trim' }, data)
-    // We will assume SafeUtils.sanitizeValidate returns sanitized data or throws.
-    // console.log("Validating inputs:", rulesObject);
-    return SafeUtils.sanitizeValidate(rulesObject);
+  /**
+   * Shape a CUD value from a users row (username/display_name/avatar) and a presence view.
+   * @param {{username?:string, display_name?:string, avatar?:string}} record
+   * @param {{online:boolean, status:string, statusText?:string|null, statusEmoji?:string|null}} presence
+   * @returns {object}
+   */
+  static buildCriticalUserData(record, presence) {
+    return {
+      username: record.username || "",
+      displayName: record.display_name || "",
+      avatar: record.avatar || "",
+      online: presence.online,
+      status: presence.status,
+      statusText: presence.statusText ?? null,
+      statusEmoji: presence.statusEmoji ?? null,
+    };
   }
 
   /**
-   * Set JSON value in Redis with TTL (seconds).
+   * Overlay live presence on a cached CUD entry; the presence stored at hydration time is never served.
+   * @param {object} cud
+   * @param {object} presence - see presenceView
    */
-  static async redisSetJson(key, obj, ttlSeconds = 0) {
-    const value = JSON.stringify(obj ?? {});
-    if (ttlSeconds > 0) {
-      await RedisClient.set(key, value, { expiry: ttlSeconds });
-    } else {
-      await RedisClient.set(key, value);
-    }
+  static withLivePresence(cud, presence) {
+    return {
+      ...cud,
+      online: presence.online,
+      status: presence.status,
+      statusText: presence.statusText ?? null,
+      statusEmoji: presence.statusEmoji ?? null,
+    };
   }
 
   /**
-   * Validate inputs via SafeUtils.sanitizeValidate (REQUIRED).
-   * Throws if invalid.
+   * Unwrap a Redis reply. The development proxy wraps replies as { result },
+   * the direct client returns them as-is.
    */
+  static redisResult(raw) {
+    if (raw && typeof raw === "object" && "result" in raw) return raw.result;
+    return raw ?? null;
+  }
 
-  /* ----------------------------------------
-     REDIS RUNTIME: CRITICAL USER DATA (CUD)
-     ---------------------------------------- */
+  /**
+   * Fold a heartbeat's platform/client descriptor onto PRESENCE_PLATFORM.
+   * Untagged heartbeats (older clients) return null and are not tracked per platform.
+   * @param {string|null} platform - "web" | "mobile" | "desktop" or an alias such as "ios"
+   * @returns {string|null}
+   * @throws {Error} INVALID_PLATFORM
+   */
+  static normalizePresencePlatform(platform) {
+    if (!platform) return null;
+    const value = platform.toLowerCase();
+    if (Object.values(this.PRESENCE_PLATFORM).includes(value)) return value;
+    if (this.PRESENCE_PLATFORM_ALIASES[value]) {
+      return this.PRESENCE_PLATFORM_ALIASES[value];
+    }
+    throw new Error("INVALID_PLATFORM");
+  }
 
   /**
-   * Return critical user data (Redis authoritative).
-   * Hydrates from Postgres on miss (username/displayName/avatar) and merges live presence.
-   *
+   * Member stored in the connections zset. Tagged with the platform so a clean disconnect
+   * can tell which platforms still have live connections.
+   * @param {string} connId
+   * @param {string|null} platform
+   */
+  static presenceConnectionMember(connId, platform) {
+    return platform ? `${platform}:${connId}` : connId;
+  }
+
+  /**
+   * Drop expired connections from a user's presence set and return how many are still live.
+   * Each member is a connId scored with its expiry (epoch seconds).
    * @param {string} uid
-   * @returns {Promise<{username:string, displayName:string, avatar:string, online:boolean, status:'online'|'offline'|'away'}|null>}
+   * @returns {Promise<number>}
    */
-  static async getCriticalUserData(uid) {
-    try {
-      const { uid: vUid } = this.validateInputs({
-        uid: { value: uid, type: "string", required: true, trim: true },
-      });
-      // console.log("uid inside the get critical ", vUid);
-      // 1) Try Redis CUD
-      const cudKey = this.keyCriticalUserData(vUid);
-      // console.log("cudKey", cudKey);
+  static async countLivePresenceConnections(uid) {
+    const connectionsKey = this.keyPresenceConnections(uid);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    await RedisClient.zremrangebyscore(connectionsKey, "-inf", nowSeconds);
+    return (
+      Number(this.redisResult(await RedisClient.zcard(connectionsKey))) || 0
+    );
+  }
 
-      let cud = await this.redisGetJson(cudKey);
+  /**
+   * Resolve effective presence from raw Redis values.
+   * Rule: override wins → otherwise summary key presence.
+   * - offline: always offline; away: always away
+   * - busy/dnd: shown while connected, offline otherwise
+   * - invisible: offline to others, real presence to the user's own sessions (self)
+   * - no override: working hours (schedule) apply, then connected users who are idle are (automatically) away
+   * @param {string|null} override
+   * @param {string|null} summary
+   * @param {{ self?: boolean, idle?: boolean, schedule?: object|null }} [options]
+   * @returns {{online:boolean, status:'online'|'offline'|'away'|'busy'|'dnd'}}
+   */
+  static resolvePresence(
+    override,
+    summary,
+    { self = false, idle = false, schedule = null } = {}
+  ) {
+    const isOnline = !!summary;
+    override = this.applyPresenceSchedule(override, schedule, summary);
+    const offline = { online: false, status: "offline" };
+    switch (override) {
+      case this.PRESENCE_MODE.OFFLINE:
+        return offline;
+      case this.PRESENCE_MODE.AWAY:
+        return { online: true, status: "away" };
+      case this.PRESENCE_MODE.BUSY:
+      case this.PRESENCE_MODE.DND:
+        return isOnline ? { online: true, status: override } : offline;
+      case this.PRESENCE_MODE.INVISIBLE:
+        if (!self) return offline;
+        break;
+    }
+    if (isOnline && idle) return { online: true, status: "away" };
+    return { online: isOnline, status: isOnline ? "online" : "offline" };
+  }
 
-      // console.log(cud);
+  /**
+   * Validate a weekly working-hours schedule and return its normalized form.
+   * Shape: { timeZone, outside: "away"|"offline", ranges: [{ days: ["monday", …], start: "09:00", end: "17:00" }] }
+   * A range whose end is not after its start runs overnight into the next day; "24:00" means midnight.
+   * @param {object} schedule
+   * @returns {{ timeZone: string, outside: string, ranges: Array<{days:string[], start:string, end:string}> }}
+   * @throws {Error} INVALID_SCHEDULE | INVALID_SCHEDULE_TIMEZONE
+   */
+  static normalizePresenceSchedule(schedule) {
+    const policy = this.PRESENCE_SCHEDULE_POLICY;
+    if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+      throw new Error("INVALID_SCHEDULE");
+    }
+    const timeZone = String(schedule.timeZone || "").trim();
+    if (
+      !timeZone ||
+      !DateTime.getNextOccurrence("monday", "00:00:00", timeZone)
+    ) {
+      throw new Error("INVALID_SCHEDULE_TIMEZONE");
+    }
+    const outside = schedule.outside ?? this.PRESENCE_MODE.AWAY;
+    if (!policy.OUTSIDE_MODES.includes(outside)) {
+      throw new Error("INVALID_SCHEDULE");
+    }
+    const ranges = schedule.ranges;
+    if (
+      !Array.isArray(ranges) ||
+      ranges.length === 0 ||
+      ranges.length > policy.MAX_RANGES
+    ) {
+      throw new Error("INVALID_SCHEDULE");
+    }
 
-      // 2) Merge presence (override→summary) from Redis every read
-      const presence = await this.getOnlineStatus(vUid);
+    return {
+      timeZone,
+      outside,
+      ranges: ranges.map((range) => {
+        const days = [
+          ...new Set(
+            (Array.isArray(range?.days) ? range.days : []).map((d) =>
+              String(d).trim().toLowerCase()
+            )
+          ),
+        ];
+        const { start, end } = range || {};
+        if (
+          days.length === 0 ||
+          !days.every((d) => policy.WEEKDAYS.includes(d)) ||
+          !policy.TIME_REGEX.test(start ?? "") ||
+          !policy.TIME_REGEX.test(end ?? "") ||
+          start === "24:00" ||
+          start === end
+        ) {
+          throw new Error("INVALID_SCHEDULE");
+        }
+        return { days, start, end };
+      }),
+    };
+  }
 
-      if (cud) {
-        const merged = {
-          ...cud,
-          online: presence.online,
-          status: presence.status,
-        };
-        return merged;
+  /**
+   * Working windows for a schedule, cached per schedule for the current UTC day
+   * (see buildPresenceScheduleWindows; the three weeks they span cover any moment of that day).
+   * @param {object} schedule - normalized schedule
+   * @returns {Array<{start:string, end:string, startAt:number, endAt:number}>}
+   */
+  static presenceScheduleWindows(schedule) {
+    const cache = this.presenceScheduleWindowCache;
+    const day = Math.floor(Date.now() / 86400000);
+    if (cache.day !== day) {
+      cache.day = day;
+      cache.windows.clear();
+    }
+    const key = JSON.stringify(schedule);
+    let windows = cache.windows.get(key);
+    if (!windows) {
+      windows = this.buildPresenceScheduleWindows(schedule);
+      if (
+        cache.windows.size >= this.PRESENCE_SCHEDULE_POLICY.WINDOW_CACHE_MAX
+      ) {
+        cache.windows.delete(cache.windows.keys().next().value);
       }
+      cache.windows.set(key, windows);
+    }
+    return windows;
+  }
 
-      // 3) Hydrate from Postgres (durables) — minimal SELECT to get username/displayName/avatar
-      // console.log("cudKey", cudKey);
+  /**
+   * Concrete working windows around now (last week, this week, next week) in the schedule's time zone.
+   * Anchored with DateTime.getNextOccurrence; sorted by start.
+   * @param {object} schedule - normalized schedule
+   * @returns {Array<{start:string, end:string, startAt:number, endAt:number}>}
+   */
+  static buildPresenceScheduleWindows(schedule) {
+    const { timeZone } = schedule;
+    const windows = [];
+    for (const range of schedule.ranges) {
+      const endsNextDay =
+        range.end === "24:00" ||
+        DateTime.timeToMinutes(range.end) <=
+          DateTime.timeToMinutes(range.start);
+      const endTime = range.end === "24:00" ? "00:00:00" : `${range.end}:00`;
+      for (const day of range.days) {
+        const anchor = DateTime.getNextOccurrence(
+          day,
+          `${range.start}:00`,
+          timeZone
+        );
+        if (!anchor) continue;
+        for (const weeks of [-7, 0, 7]) {
+          const start = weeks
+            ? DateTime.addDays(anchor, weeks, timeZone)
+            : anchor;
+          const endDate = endsNextDay
+            ? DateTime.addDays(start, 1, timeZone).slice(0, 10)
+            : start.slice(0, 10);
+          const end = `${endDate} ${endTime}`;
+          windows.push({
+            start,
+            end,
+            startAt: DateTime.parseDateToTimestamp(start, timeZone),
+            endAt: DateTime.parseDateToTimestamp(end, timeZone),
+          });
+        }
+      }
+    }
+    return windows.sort((a, b) => a.startAt - b.startAt);
+  }
 
-      const userRow = await db.query(
-        "default", // connection name
-        "SELECT username_lower AS username, display_name AS display_name, avatar_url AS avatar FROM users WHERE uid = $1 LIMIT 1",
-        [vUid]
-      );
-      // console.log("userRow", userRow);
-      const record = userRow?.rows?.[0];
-      // console.log("record", record);
-      if (!record) return null;
-
-      const hydrated = {
-        username: record.username || "",
-        displayName: record.display_name || "",
-        avatar: record.avatar || "",
-        online: presence.online,
-        status: presence.status,
-      };
-      // console.log("hydrated user", hydrated);
+  /**
+   * Is the schedule's owner inside working hours at a given moment?
+   * `until` is the end of the current (possibly chained) window, `next` the start of the next one.
+   * @param {object|null} schedule - normalized schedule; null means always available
+   * @param {number} [atSeconds] - epoch seconds (defaults to now)
+   * @returns {{ available: boolean, until: number|null, next: number|null }}
+   */
+  static evaluatePresenceSchedule(
+    schedule,
+    atSeconds = Math.floor(Date.now() / 1000)
+  ) {
+    if (!schedule) return { available: true, until: null, next: null };
 
-      // 4) Warm Redis CUD
-      await redisSetJson(
-        cudKey,
-        hydrated,
-        this.REDIS_TIMING_SECONDS.CRITICAL_USER_DATA_TTL
-      );
+    // Windows carry epoch bounds, so membership is plain arithmetic
+    const windows = this.presenceScheduleWindows(schedule);
+    const current = windows.find(
+      (w) => w.startAt <= atSeconds && atSeconds < w.endAt
+    );
+    if (!current) {
+      const next = windows.find((w) => w.startAt > atSeconds);
+      return { available: false, until: null, next: next?.startAt ?? null };
+    }
 
-      Logger.writeLog?.({
-        flag: this.LOGGER_FLAG_USERS,
-        action: "getCriticalUserData_hydrated",
-        message: "Hydrated CUD from Postgres and cached in Redis",
-        data: { uid: vUid },
-      });
+    // Back-to-back or overlapping windows count as one stretch
+    let until = current.endAt;
+    for (const w of windows) {
+      if (w.startAt <= until && w.endAt > until) until = w.endAt;
+    }
+    return { available: true, until, next: null };
+  }
 
-      return hydrated;
-    } catch (err) {
-      ErrorHandler.capture?.(err, { where: "Users.getCriticalUserData", uid });
-      return {
-        status: false,
-        data: null,
-        error: err.message || "UNKNOWN_ERROR",
-      };
+  /**
+   * Apply working hours when no manual override is set: outside the schedule the user
+   * shows as the schedule's `outside` mode ("away" only while connected).
+   * @param {string|null} override
+   * @param {object|null} schedule
+   * @param {string|null} summary
+   * @returns {string|null} effective override
+   */
+  static applyPresenceSchedule(override, schedule, summary) {
+    if (!schedule || (override && override !== this.PRESENCE_MODE.REAL)) {
+      return override;
     }
+    if (this.evaluatePresenceSchedule(schedule).available) return override;
+    if (schedule.outside === this.PRESENCE_MODE.OFFLINE) {
+      return this.PRESENCE_MODE.OFFLINE;
+    }
+    return summary ? this.PRESENCE_MODE.AWAY : override;
   }
 
   /**
-   * Batched critical user data by UIDs (order-preserving). Redis-first; hydrate misses.
-   * @param {string[]} uids
-   * @returns {Promise<Array<object>>}
+   * Has the user been idle for at least IDLE_AWAY_AFTER at the given moment?
+   * Users without an activity timestamp are never idle.
+   * @param {number|null} activityAt - epoch seconds of the last activity
+   * @param {number} [atSeconds] - moment to evaluate (defaults to now)
+   * @returns {boolean}
    */
-  static async getCriticalUsersData(uids = []) {
-    try {
-      const { uids: vUids } = this.validateInputs({
-        uids: { value: uids, type: "array", required: true, min: 1, max: 200 },
-      });
-      // console.log("Validated UIDs:", vUids);
+  static isIdle(activityAt, atSeconds = Math.floor(Date.now() / 1000)) {
+    const last = Number(activityAt);
+    if (!last) return false;
+    return atSeconds - last >= this.REDIS_TIMING_SECONDS.IDLE_AWAY_AFTER;
+  }
 
-      // 1) MGET CUD keys
-      const keys = vUids.map(this.keyCriticalUserData);
-      const rawValues = await RedisClient.mget(...keys);
-      const results = [];
-      const misses = [];
+  /**
+   * Full presence view for one user as served to callers.
+   * Timed-override expiry of an invisible user is only revealed to themselves.
+   * awaySource tells a manual "away" override apart from working-hours and idle auto-away.
+   * @param {{override:string|null, summary:string|null, overrideMeta:object|null, statusMessage:object|null, activityAt:number|null}} state
+   * @param {{ self?: boolean }} [options]
+   * @returns {{online:boolean, status:string, awaySource:'manual'|'schedule'|'auto'|null, overrideExpiresAt:string|null, statusText:string|null, statusEmoji:string|null}}
+   */
+  static presenceView(state, { self = false } = {}) {
+    const hidesOverride =
+      state.override === this.PRESENCE_MODE.INVISIBLE && !self;
+    // Working hours are evaluated once; resolvePresence gets the effective override
+    const effective = this.applyPresenceSchedule(
+      state.override,
+      state.schedule,
+      state.summary
+    );
+    const presence = this.resolvePresence(effective, state.summary, {
+      self,
+      idle: this.isIdle(state.activityAt),
+    });
+    let awaySource = null;
+    if (presence.status === "away") {
+      if (state.override === this.PRESENCE_MODE.AWAY) awaySource = "manual";
+      else if (effective === this.PRESENCE_MODE.AWAY) awaySource = "schedule";
+      else awaySource = "auto";
+    }
+    // Platforms with a live connection, most recently seen first; none while shown offline
+    const platforms = presence.online
+      ? Object.entries(state.platforms || {})
+          .filter(([, seenAt]) => seenAt)
+          .sort((a, b) => b[1] - a[1])
+          .map(([platform]) => platform)
+      : [];
+    return {
+      ...presence,
+      awaySource,
+      platforms,
+      lastPlatform: platforms[0] ?? null,
+      overrideExpiresAt: hidesOverride
+        ? null
+        : this.overrideExpiresAt(state.override, state.overrideMeta),
+      statusText: state.statusMessage?.text ?? null,
+      statusEmoji: state.statusMessage?.emoji ?? null,
+    };
+  }
 
-      for (let i = 0; i < vUids.length; i++) {
-        const uid = vUids[i];
-        const raw = rawValues[i];
-        if (raw) {
-          try {
-            const parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
-            results.push({ uid, ...parsed });
-          } catch {
-            misses.push(uid);
-          }
-        } else {
-          misses.push(uid);
-        }
-      }
+  /**
+   * Parse an override expiry into epoch seconds.
+   * Accepts "30m" / "2h" / "1d", DateTime intervals ("90 minutes", "+2 hours")
+   * or an absolute DateTime string ("2025-10-20 15:30:00", read in timeZone).
+   * @param {string} expires
+   * @param {string|null} timeZone
+   * @returns {number}
+   */
+  static parseOverrideExpiry(expires, timeZone = null) {
+    const text = String(expires).trim();
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    let expiresAt = false;
 
-      // 2) Hydrate misses individually (reuse single getCriticalUserData to ensure presence merge)
-      for (const mUid of misses) {
-        const one = await this.getCriticalUserData(mUid);
-        results.push({
-          uid: mUid,
-          ...(one || {
-            username: "",
-            displayName: "",
-            avatar: "",
-            online: false,
-            status: "offline",
-          }),
-        });
-      }
+    const short = text.match(/^(\d+)\s*([smhdw])$/i);
+    if (short) {
+      expiresAt =
+        nowSeconds +
+        Number(short[1]) *
+          this.OVERRIDE_DURATION_UNIT_SECONDS[short[2].toLowerCase()];
+    } else if (/^[+]?\d+\s*[a-z]+$/i.test(text)) {
+      const at = DateTime.generateRelativeTimestamp(
+        "yyyy-MM-dd HH:mm:ss",
+        text.startsWith("+") ? text : `+${text}`,
+        timeZone
+      );
+      expiresAt = at ? DateTime.parseDateToTimestamp(at, timeZone) : false;
+    } else {
+      expiresAt = DateTime.parseDateToTimestamp(text, timeZone);
+    }
 
-      // 3) Preserve input order
-      const map = new Map(results.map((r) => [r.uid, r]));
-      return vUids.map((u) => map.get(u));
-    } catch (err) {
-      ErrorHandler.capture?.(err, {
-        where: "Users.getCriticalUsersData",
-        uids,
-      });
-      return [];
+    if (!expiresAt || expiresAt <= nowSeconds) {
+      throw new Error("INVALID_OVERRIDE_EXPIRY");
     }
+    return expiresAt;
   }
 
-  /* ----------------------------------------
-     REDIS RUNTIME: PRESENCE
-     ---------------------------------------- */
-
   /**
-   * Resolve current presence for a user from Redis.
-   * Rule: presenceOverride (offline/away/real) → then presence summary.
+   * Read raw presence state (override, summary, timed override meta, status message,
+   * last activity, last heartbeat) for many users in a single MGET round trip. Order-preserving.
+   * @param {string[]} uids
+   * @returns {Promise<Array<{override:string|null, summary:string|null, overrideMeta:object|null, statusMessage:object|null, activityAt:number|null, lastSeenAt:number|null}>>}
+   */
+  static async readPresenceStates(uids) {
+    const keyBuilders = [
+      this.keyPresenceOverride,
+      this.keyPresenceSummary,
+      this.keyPresenceOverrideMeta,
+      this.keyPresenceStatusMessage,
+      this.keyPresenceActivity,
+      this.keyPresenceLastSeen,
+      this.keyPresenceSchedule,
+    ];
+    const platforms = Object.values(this.PRESENCE_PLATFORM);
+    const width = keyBuilders.length + platforms.length;
+    const keys = uids.flatMap((uid) => [
+      ...keyBuilders.map((build) => build(uid)),
+      ...platforms.map((platform) => this.keyPresencePlatform(uid, platform)),
+    ]);
+    const values = this.redisResult(await RedisClient.mget(...keys)) || [];
+    return uids.map((uid, i) => {
+      const base = i * width;
+      return {
+        override: values[base] ?? null,
+        summary: values[base + 1] ?? null,
+        overrideMeta: values[base + 2] ?? null,
+        statusMessage: values[base + 3] ?? null,
+        activityAt: Number(values[base + 4]) || null,
+        lastSeenAt: Number(values[base + 5]) || null,
+        schedule: values[base + 6] ?? null,
+        platforms: Object.fromEntries(
+          platforms.map((platform, p) => [
+            platform,
+            Number(values[base + keyBuilders.length + p]) || null,
+          ])
+        ),
+      };
+    });
+  }
+
+  /**
+   * Read raw presence state for one user (see readPresenceStates).
+   * @param {string} uid
+   */
+  static async readPresenceState(uid) {
+    const [state] = await this.readPresenceStates([uid]);
+    return state;
+  }
+
+  /**
+   * ISO expiry of the active override, or null when it is untimed / already lapsed.
+   * @param {string|null} override
+   * @param {{mode:string, expiresAt:number}|null} overrideMeta
+   * @returns {string|null}
+   */
+  static overrideExpiresAt(override, overrideMeta) {
+    const expiresAt = Number(overrideMeta?.expiresAt);
+    if (!override || overrideMeta?.mode !== override || !expiresAt) return null;
+    if (expiresAt <= Math.floor(Date.now() / 1000)) return null;
+    return new Date(expiresAt * 1000).toISOString();
+  }
+
+  /**
+   * Notify in-process listeners and publish on Redis when the effective status changed.
+   * No-op when the status is unchanged, so heartbeats don't spam subscribers.
+   * @param {string} uid
+   * @param {{status:string}} previous
+   * @param {{online:boolean, status:string}} next
+   * @param {'heartbeat'|'activity'|'disconnect'|'override'|'override_expired'|'expired'} reason
+   * @returns {Promise<object|null>} the emitted event, or null
+   */
+  static async emitPresenceChange(uid, previous, next, reason) {
+    if (previous.status === next.status) return null;
+
+    const event = {
+      uid,
+      previousStatus: previous.status,
+      status: next.status,
+      online: next.online,
+      reason,
+      timestamp: new Date().toISOString(),
+    };
+
+    for (const listener of this.presenceListeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        ErrorHandler.capture?.(err, { where: "Users.presenceListener", uid });
+      }
+    }
+
+    try {
+      await RedisClient.publish(this.PRESENCE_EVENTS_CHANNEL, event);
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.emitPresenceChange", uid });
+    }
+
+    Logger.writeLog?.({
+      flag: this.LOGGER_FLAG_USERS,
+      action: "presenceChanged",
+      message: "Presence transition emitted",
+      data: event,
+    });
+    return event;
+  }
+
+  static validateInputs(rulesObject) {
+    // Example: SafeUtils.sanitizeValidate({ uid: 'required|string|trim' }, data)
+    // We will assume SafeUtils.sanitizeValidate returns sanitized data or throws.
+    // console.log("Validating inputs:", rulesObject);
+    return SafeUtils.sanitizeValidate(rulesObject);
+  }
+
+  /**
+   * Set JSON value in Redis with TTL (seconds).
+   */
+  static async redisSetJson(key, obj, ttlSeconds = 0) {
+    const value = JSON.stringify(obj ?? {});
+    if (ttlSeconds > 0) {
+      await RedisClient.set(key, value, { expiry: ttlSeconds });
+    } else {
+      await RedisClient.set(key, value);
+    }
+  }
+
+  /**
+   * Validate inputs via SafeUtils.sanitizeValidate (REQUIRED).
+   * Throws if invalid.
+   */
+
+  /* ----------------------------------------
+     REDIS RUNTIME: CRITICAL USER DATA (CUD)
+     ---------------------------------------- */
+
+  /**
+   * Read a CUD entry from the L1 cache. Counts hits and misses; undefined when disabled, absent or expired.
+   * @param {string} uid
+   * @returns {{ username: string, displayName: string, avatar: string }|undefined} durable fields, no presence
+   */
+  static readCriticalUserDataL1(uid) {
+    if (!this.CUD_L1_POLICY.ENABLED) return undefined;
+    const entry = this.cudL1.get(uid);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.cudL1.delete(uid);
+      this.cudL1Stats.misses++;
+      return undefined;
+    }
+    // Re-insert to mark as most recently used
+    this.cudL1.delete(uid);
+    this.cudL1.set(uid, entry);
+    this.cudL1Stats.hits++;
+    return { ...entry.value };
+  }
+
+  /**
+   * Store the durable fields of a CUD entry in the L1 cache, evicting the least recently used beyond MAX_ENTRIES.
+   * Presence is dropped: it changes far more often than TTL_MS and is merged by the readers.
+   * @param {string} uid
+   * @param {object} value - CUD
+   */
+  static writeCriticalUserDataL1(uid, value) {
+    const { ENABLED, MAX_ENTRIES, TTL_MS } = this.CUD_L1_POLICY;
+    if (!ENABLED || !value) return;
+    const { username, displayName, avatar } = value;
+    this.cudL1.delete(uid);
+    this.cudL1.set(uid, {
+      value: { username, displayName, avatar },
+      expiresAt: Date.now() + TTL_MS,
+    });
+    while (this.cudL1.size > MAX_ENTRIES) {
+      this.cudL1.delete(this.cudL1.keys().next().value);
+      this.cudL1Stats.evictions++;
+    }
+  }
+
+  /**
+   * Invalidation hook: drop uids from this node's L1 cache and queue them for other nodes.
+   * Call after anything that changes what getCriticalUserData returns.
+   * @param {string[]} uids
+   * @param {{ broadcast?: boolean }} [options] broadcast=false for invalidations received from other nodes
+   */
+  static invalidateCriticalUserDataCache(uids, { broadcast = true } = {}) {
+    for (const uid of uids) {
+      if (this.cudL1.delete(uid)) this.cudL1Stats.invalidations++;
+    }
+    const { PUBLISH_INVALIDATIONS, INVALIDATION_FLUSH_MS } = this.CUD_L1_POLICY;
+    if (!broadcast || !PUBLISH_INVALIDATIONS || uids.length === 0) return;
+    uids.forEach((uid) => this.cudL1PendingInvalidations.add(uid));
+    if (!this.cudL1FlushTimer) {
+      this.cudL1FlushTimer = setTimeout(
+        () => this.flushCriticalUserDataInvalidations(),
+        INVALIDATION_FLUSH_MS
+      );
+      this.cudL1FlushTimer.unref?.();
+    }
+  }
+
+  /**
+   * Publish queued L1 invalidations as one message. Never throws.
+   * @returns {Promise<number>} number of uids published
+   */
+  static async flushCriticalUserDataInvalidations() {
+    clearTimeout(this.cudL1FlushTimer);
+    this.cudL1FlushTimer = null;
+    const uids = [...this.cudL1PendingInvalidations];
+    this.cudL1PendingInvalidations.clear();
+    if (uids.length === 0) return 0;
+    try {
+      await RedisClient.publish(this.CUD_L1_POLICY.INVALIDATION_CHANNEL, {
+        origin: this.cudL1NodeId,
+        uids,
+      });
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.flushCriticalUserDataInvalidations",
+        count: uids.length,
+      });
+    }
+    return uids.length;
+  }
+
+  /**
+   * Subscribe to L1 invalidations from other nodes. Run in every process that enables CUD_L1_CACHE.
+   * @returns {Promise<{ success: boolean }>}
+   */
+  static async startCriticalUserDataInvalidationListener() {
+    try {
+      const channel = this.CUD_L1_POLICY.INVALIDATION_CHANNEL;
+      const subscribed = await RedisClient.subscribe(channel, (message) => {
+        try {
+          const { origin, uids } =
+            typeof message === "string" ? JSON.parse(message) : message;
+          if (origin === this.cudL1NodeId || !Array.isArray(uids)) return;
+          this.invalidateCriticalUserDataCache(uids, { broadcast: false });
+        } catch (err) {
+          ErrorHandler.capture?.(err, {
+            where: "Users.criticalUserDataInvalidationListener",
+          });
+        }
+      });
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "startCriticalUserDataInvalidationListener",
+        message: "CUD L1 invalidation listener started",
+        data: { channel, subscribed },
+      });
+      return { success: subscribed };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.startCriticalUserDataInvalidationListener",
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * L1 cache counters for metrics.
+   * @returns {{ enabled: boolean, size: number, maxEntries: number, ttlMs: number, hits: number, misses: number, evictions: number, invalidations: number, hitRate: number|null }}
+   */
+  static getCriticalUserDataCacheStats() {
+    const { ENABLED, MAX_ENTRIES, TTL_MS } = this.CUD_L1_POLICY;
+    const { hits, misses } = this.cudL1Stats;
+    return {
+      enabled: ENABLED,
+      size: this.cudL1.size,
+      maxEntries: MAX_ENTRIES,
+      ttlMs: TTL_MS,
+      ...this.cudL1Stats,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+    };
+  }
+
+  /**
+   * Empty the L1 cache and reset its counters (tests, deploys).
+   */
+  static clearCriticalUserDataCache() {
+    this.cudL1.clear();
+    this.cudL1Stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+  }
+
+  /**
+   * Drop a user's CUD from Redis and the L1 cache ("bust CUD").
+   * @param {string} uid
+   */
+  static async dropCriticalUserData(uid) {
+    await RedisClient.del(this.keyCriticalUserData(uid));
+    this.invalidateCriticalUserDataCache([uid]);
+  }
+
+  /**
+   * Write a CUD entry with a jittered refresh time (see CUD_CACHE_POLICY).
+   * The Redis key outlives the refresh time by STALE_GRACE.
+   * @param {string} uid
+   * @param {object} cud
+   */
+  static async writeCriticalUserData(uid, cud) {
+    const [, key, value, { expiry }] = this.criticalUserDataWrite(uid, cud);
+    await this.redisSetJson(key, value, expiry);
+  }
+
+  /**
+   * Pipeline "set" command for a CUD entry with a jittered refresh time (see writeCriticalUserData).
+   * @param {string} uid
+   * @param {object} cud
+   * @returns {Array} ["set", key, value, { expiry }]
+   */
+  static criticalUserDataWrite(uid, cud) {
+    const { TTL_JITTER_RATIO, STALE_GRACE } = this.CUD_CACHE_POLICY;
+    const base = this.REDIS_TIMING_SECONDS.CRITICAL_USER_DATA_TTL;
+    const ttl = Math.max(
+      1,
+      Math.round(base * (1 + (Math.random() * 2 - 1) * TTL_JITTER_RATIO))
+    );
+    return [
+      "set",
+      this.keyCriticalUserData(uid),
+      { ...cud, refreshAt: Math.floor(Date.now() / 1000) + ttl },
+      { expiry: ttl + STALE_GRACE },
+    ];
+  }
+
+  /**
+   * Split a raw CUD value into the data and whether it is past its refresh time.
+   * @param {string|object|null} raw
+   * @returns {{ cud: object, stale: boolean }|null}
+   */
+  static unpackCriticalUserData(raw) {
+    if (!raw) return null;
+    let parsed;
+    try {
+      parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
+    } catch {
+      return null;
+    }
+    if (!parsed || typeof parsed !== "object") return null;
+    const { refreshAt, ...cud } = parsed;
+    return {
+      cud,
+      stale: !!refreshAt && refreshAt <= Math.floor(Date.now() / 1000),
+    };
+  }
+
+  /**
+   * Hydrate a CUD entry from Postgres and cache it, once per uid at a time.
+   * - Concurrent callers in this process share one promise.
+   * - Across processes a short Redis lock elects one loader. The others return `stale` when they have it,
+   *   otherwise wait up to LOCK_WAIT_ATTEMPTS × LOCK_WAIT_MS for the entry before loading it themselves.
+   * @param {string} uid
+   * @param {{ presence: object, stale?: object|null }} options
+   * @returns {Promise<object|null>} CUD without the caller's presence merged in; null for unknown users
+   */
+  static async loadCriticalUserData(uid, { presence, stale = null }) {
+    const inFlight = this.cudHydrations.get(uid);
+    if (inFlight) return (await inFlight) ?? stale;
+
+    const load = (async () => {
+      const { LOCK_TTL, LOCK_WAIT_MS, LOCK_WAIT_ATTEMPTS } =
+        this.CUD_CACHE_POLICY;
+      const lockKey = this.keyCriticalUserDataLock(uid);
+      const token = `${process.pid}:${Date.now()}:${Math.random()}`;
+      const locked =
+        Number(
+          this.redisResult(
+            await RedisClient.eval(
+              this.LOCK_SCRIPTS.ACQUIRE,
+              [lockKey],
+              [token, LOCK_TTL]
+            )
+          )
+        ) === 1;
+
+      if (!locked) {
+        if (stale) return stale;
+        for (let attempt = 0; attempt < LOCK_WAIT_ATTEMPTS; attempt++) {
+          await new Promise((resolve) => setTimeout(resolve, LOCK_WAIT_MS));
+          const cached = this.unpackCriticalUserData(
+            await RedisClient.get(this.keyCriticalUserData(uid))
+          );
+          if (cached) return cached.cud;
+        }
+        // The loader is slow or gone; read Postgres directly rather than fail
+      }
+
+      try {
+        // Minimal SELECT to get username/displayName/avatar
+        const userRow = await db.query(
+          "default", // connection name
+          "SELECT username_lower AS username, display_name AS display_name, avatar_url AS avatar FROM users WHERE uid = $1 LIMIT 1",
+          [uid]
+        );
+        const record = userRow?.rows?.[0];
+        if (!record) return null;
+
+        const hydrated = this.buildCriticalUserData(record, presence);
+        await this.writeCriticalUserData(uid, hydrated);
+
+        Logger.writeLog?.({
+          flag: this.LOGGER_FLAG_USERS,
+          action: "getCriticalUserData_hydrated",
+          message: "Hydrated CUD from Postgres and cached in Redis",
+          data: { uid, refreshedStale: !!stale },
+        });
+        return hydrated;
+      } finally {
+        if (locked) {
+          await RedisClient.eval(this.LOCK_SCRIPTS.RELEASE, [lockKey], [token]);
+        }
+      }
+    })();
+
+    this.cudHydrations.set(uid, load);
+    try {
+      return await load;
+    } finally {
+      this.cudHydrations.delete(uid);
+    }
+  }
+
+  /**
+   * Return critical user data (Redis authoritative).
+   * Hydrates from Postgres on miss (username/displayName/avatar) and merges live presence.
+   *
    * @param {string} uid
-   * @returns {Promise<{online:boolean, status:'online'|'offline'|'away'}>}
+   * @returns {Promise<{username:string, displayName:string, avatar:string, online:boolean, status:'online'|'offline'|'away'|'busy'|'dnd', statusText:string|null, statusEmoji:string|null}|null>}
    */
-  static async getOnlineStatus(uid) {
+  static async getCriticalUserData(uid) {
     try {
       const { uid: vUid } = this.validateInputs({
         uid: { value: uid, type: "string", required: true, trim: true },
       });
-      // console.log("hello online", vUid);
-      // 1) Check override
-      const override = await RedisClient.get(this.keyPresenceOverride(vUid));
-      console.log("override", override);
-      if (
-        override.result === this.PRESENCE_MODE.OFFLINE ||
-        override.result === null
+      // console.log("uid inside the get critical ", vUid);
+      // 0) In-process L1 (optional, see CUD_L1_POLICY), then Redis CUD
+      const local = this.readCriticalUserDataL1(vUid);
+      const cudKey = this.keyCriticalUserData(vUid);
+      // console.log("cudKey", cudKey);
+
+      const cached = local
+        ? { cud: local, stale: false }
+        : this.unpackCriticalUserData(await RedisClient.get(cudKey));
+
+      // 2) Merge presence (override→summary) from Redis every read
+      const presence = await this.getOnlineStatus(vUid);
+
+      let cud = cached && !cached.stale ? cached.cud : null;
+      if (!cud) {
+        // 3) Hydrate from Postgres (single-flight; stale copy served while another process refreshes)
+        cud = await this.loadCriticalUserData(vUid, {
+          presence,
+          stale: cached?.cud ?? null,
+        });
+        if (!cud) return null;
+      }
+
+      if (!local) this.writeCriticalUserDataL1(vUid, cud);
+      return this.withLivePresence(cud, presence);
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.getCriticalUserData", uid });
+      return {
+        status: false,
+        data: null,
+        error: err.message || "UNKNOWN_ERROR",
+      };
+    }
+  }
+
+  /**
+   * Batched critical user data by UIDs (order-preserving). Redis-first; hydrate misses.
+   * Every entry carries live presence from one presence read over the whole batch.
+   * Misses are hydrated as a set: one Postgres query and one pipelined cache write.
+   * Stale entries are returned as they are and refreshed in the background through
+   * loadCriticalUserData (same lock and single-flight as getCriticalUserData).
+   * @param {string[]} uids
+   * @returns {Promise<Array<object>>}
+   */
+  static async getCriticalUsersData(uids = []) {
+    try {
+      const { uids: vUids } = this.validateInputs({
+        uids: { value: uids, type: "array", required: true, min: 1, max: 200 },
+      });
+      // console.log("Validated UIDs:", vUids);
+
+      // 0) In-process L1 (optional, see CUD_L1_POLICY), then Redis CUD for the rest
+      const results = [];
+      const hits = new Map(); // uid → cached CUD; live presence is overlaid below
+      const remote = [];
+      for (const uid of new Set(vUids)) {
+        const durable = this.readCriticalUserDataL1(uid);
+        if (durable) hits.set(uid, durable);
+        else remote.push(uid);
+      }
+
+      // 1) MGET CUD keys
+      const keys = remote.map(this.keyCriticalUserData);
+      const rawValues = keys.length
+        ? this.redisResult(await RedisClient.mget(...keys)) || []
+        : [];
+      const misses = [];
+      const stale = new Map();
+
+      for (let i = 0; i < remote.length; i++) {
+        const uid = remote[i];
+        const cached = this.unpackCriticalUserData(rawValues[i]);
+        if (!cached) {
+          misses.push(uid);
+          continue;
+        }
+        hits.set(uid, cached.cud);
+        if (cached.stale) stale.set(uid, cached.cud);
+        else this.writeCriticalUserDataL1(uid, cached.cud);
+      }
+      if (stale.size > 0) this.refreshCriticalUserData(stale);
+
+      // 2) One presence read for hits and misses; the stored presence of a cached entry is never served
+      const [presences, userRows] = await Promise.all([
+        this.readPresenceStates([...hits.keys(), ...misses]),
+        misses.length > 0
+          ? db.query(
+              "default",
+              "SELECT uid, username_lower AS username, display_name, avatar_url AS avatar FROM users WHERE uid = ANY($1)",
+              [misses]
+            )
+          : null,
+      ]);
+      const views = presences.map((state) => this.presenceView(state));
+      [...hits].forEach(([uid, cud], i) => {
+        results.push({ uid, ...this.withLivePresence(cud, views[i]) });
+      });
+
+      // 3) Hydrate misses as a set
+      if (misses.length > 0) {
+        const records = new Map(
+          (userRows?.rows || []).map((row) => [row.uid, row])
+        );
+        const writes = [];
+        misses.forEach((mUid, i) => {
+          const record = records.get(mUid);
+          const presence = views[hits.size + i];
+          if (!record) {
+            // Unknown uid: placeholder, not cached
+            results.push({
+              uid: mUid,
+              username: "",
+              displayName: "",
+              avatar: "",
+              online: false,
+              status: "offline",
+              statusText: null,
+              statusEmoji: null,
+            });
+            return;
+          }
+          const hydrated = this.buildCriticalUserData(record, presence);
+          writes.push(this.criticalUserDataWrite(mUid, hydrated));
+          this.writeCriticalUserDataL1(mUid, hydrated);
+          results.push({ uid: mUid, ...hydrated });
+        });
+        if (writes.length > 0) await RedisClient.pipeline(writes);
+
+        Logger.writeLog?.({
+          flag: this.LOGGER_FLAG_USERS,
+          action: "getCriticalUsersData_hydrated",
+          message: "Hydrated CUD batch from Postgres and cached in Redis",
+          data: { misses: misses.length, hydrated: writes.length },
+        });
+      }
+
+      // 4) Preserve input order
+      const map = new Map(results.map((r) => [r.uid, r]));
+      return vUids.map((u) => map.get(u));
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.getCriticalUsersData",
+        uids,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Refresh stale CUD entries without blocking the caller. Each uid goes through loadCriticalUserData,
+   * so only one process reloads it and concurrent feeds share the work. Never throws.
+   * @param {Map<string, object>} stale - uid → stale CUD (served again if the lock is held elsewhere)
+   */
+  static refreshCriticalUserData(stale) {
+    const uids = [...stale.keys()];
+    (async () => {
+      const presences = await this.readPresenceStates(uids);
+      await Promise.all(
+        uids.map((uid, i) =>
+          this.loadCriticalUserData(uid, {
+            presence: this.presenceView(presences[i]),
+            stale: stale.get(uid),
+          })
+        )
+      );
+    })().catch((err) => {
+      ErrorHandler.capture?.(err, {
+        where: "Users.refreshCriticalUserData",
+        uids,
+      });
+    });
+  }
+
+  /* ----------------------------------------
+     REDIS RUNTIME: PRESENCE
+     ---------------------------------------- */
+
+  /**
+   * Resolve current presence for a user from Redis.
+   * Rule: presenceOverride → then presence summary (see resolvePresence).
+   * Pass viewerUid so a user sees through their own "invisible" mode.
+   * @param {string} uid
+   * @param {{ viewerUid?: string }} [options]
+   * @returns {Promise<{online:boolean, status:'online'|'offline'|'away'|'busy'|'dnd', overrideExpiresAt:string|null, statusText:string|null, statusEmoji:string|null}>}
+   */
+  static async getOnlineStatus(uid, options = {}) {
+    try {
+      const { uid: vUid, viewerUid: vViewerUid } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        viewerUid: {
+          value: options.viewerUid,
+          type: "string",
+          required: false,
+        },
+      });
+      // Override first, then summary key (lives as long as the user's newest connection)
+      const state = await this.readPresenceState(vUid);
+      return this.presenceView(state, { self: vViewerUid === vUid });
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.getOnlineStatus", uid });
+      return { online: false, status: "offline" };
+    }
+  }
+
+  /**
+   * Batch presence for multiple users (20–50 typical). Redis-only, one MGET.
+   * @param {string[]} uids
+   * @param {{ viewerUid?: string }} [options]
+   * @returns {Promise<Array<{uid:string, online:boolean, status:string, overrideExpiresAt:string|null, statusText:string|null, statusEmoji:string|null}>>}
+   */
+  static async getBatchOnlineStatus(uids = [], options = {}) {
+    try {
+      const { uids: vUids, viewerUid: vViewerUid } = this.validateInputs({
+        uids: { value: uids, type: "array", required: true, min: 1, max: 500 },
+        viewerUid: {
+          value: options.viewerUid,
+          type: "string",
+          required: false,
+        },
+      });
+
+      const states = await this.readPresenceStates(vUids);
+      return vUids.map((uid, i) => ({
+        uid,
+        ...this.presenceView(states[i], { self: vViewerUid === uid }),
+      }));
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.getBatchOnlineStatus",
+        uids,
+      });
+      return { success: false, data: [], error: err.message };
+    }
+  }
+
+  /**
+   * Server-side socket hook: refresh this connection's expiry, refresh presence summary TTL,
+   * optionally bump durable lastActivityAt.
+   * Pass `activity: true` when the client reports user input since its last heartbeat (clears idle auto-away).
+   * `platform` ("web" | "mobile" | "desktop", or a client alias like "ios") marks that platform active
+   * and is recorded on the connection's row in user_presence_sessions.
+   * (No frontend code here — this is called by your socket server.)
+   * @param {string} uid
+   * @param {string} connId
+   * @param {{ activity?: boolean, platform?: string }} [options]
+   * @returns {Promise<{ success: boolean, connections: number, platform: string|null }>}
+   */
+  static async updatePresenceFromSocket(uid, connId, options = {}) {
+    try {
+      const {
+        uid: vUid,
+        connId: vConnId,
+        activity: vActivity,
+        platform: vPlatform,
+      } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        connId: { value: connId, type: "string", required: true, trim: true },
+        activity: {
+          value: options.activity,
+          type: "bool",
+          required: false,
+          default: false,
+        },
+        platform: {
+          value: options.platform,
+          type: "string",
+          required: false,
+          trim: true,
+        },
+      });
+      const platform = this.normalizePresencePlatform(vPlatform);
+
+      const presenceTtl = this.REDIS_TIMING_SECONDS.PRESENCE_TTL;
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const { override, summary, activityAt, lastSeenAt, schedule } =
+        await this.readPresenceState(vUid);
+
+      // Track this connection with its own expiry; the set itself lives as long as its newest member
+      const connectionsKey = this.keyPresenceConnections(vUid);
+      await RedisClient.zadd(
+        connectionsKey,
+        nowSeconds + presenceTtl,
+        this.presenceConnectionMember(vConnId, platform)
+      );
+      await RedisClient.expire(connectionsKey, presenceTtl);
+      const connections = await this.countLivePresenceConnections(vUid);
+
+      // Refresh presence summary TTL (expires together with the newest connection)
+      await RedisClient.set(this.keyPresenceSummary(vUid), "1", {
+        expiry: presenceTtl,
+      });
+      await RedisClient.set(this.keyPresenceLastSeen(vUid), nowSeconds, {
+        expiry: this.REDIS_TIMING_SECONDS.LAST_SEEN_TTL,
+      });
+      if (platform) {
+        await RedisClient.set(
+          this.keyPresencePlatform(vUid, platform),
+          nowSeconds,
+          { expiry: presenceTtl }
+        );
+      }
+      if (vActivity) {
+        await this.touchPresenceActivity(vUid, nowSeconds);
+      } else {
+        // Keep an idle user's last activity while they stay connected (no-op for clients that never report it)
+        await RedisClient.expire(
+          this.keyPresenceActivity(vUid),
+          this.REDIS_TIMING_SECONDS.ACTIVITY_TTL
+        );
+      }
+
+      // Idleness as of the previous heartbeat vs now, so crossing the idle threshold emits "away"
+      await this.emitPresenceChange(
+        vUid,
+        this.resolvePresence(override, summary, {
+          schedule,
+          idle: this.isIdle(activityAt, lastSeenAt ?? nowSeconds),
+        }),
+        this.resolvePresence(override, "1", {
+          schedule,
+          idle: !vActivity && this.isIdle(activityAt, nowSeconds),
+        }),
+        vActivity ? "activity" : "heartbeat"
+      );
+
+      // OPTIONAL: Throttle durable lastActivityAt write in Postgres (e.g., once per 60s)
+      // Reads are Redis-only; this is purely for analytics/labels.
+      await db.query(
+        "default",
+        "UPDATE users SET last_activity_at = NOW() WHERE uid = $1 AND (last_activity_at IS NULL OR NOW() - last_activity_at > INTERVAL '60 seconds ')",
+        [vUid]
+      );
+      await this.recordPresenceSessions([
+        { uid: vUid, connId: vConnId, platform },
+      ]);
+
+      // Bust CUD so next read merges fresh presence if needed
+      await this.dropCriticalUserData(vUid);
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "updatePresenceFromSocket",
+        message: "Presence heartbeat processed",
+        data: { uid: vUid, connId: vConnId, connections },
+      });
+      return { success: true, connections, platform };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.updatePresenceFromSocket",
+        uid,
+        connId,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Batched heartbeat for socket server nodes: one call per tick instead of one per connection.
+   * One MGET for the previous state, one pipelined round trip for all presence writes and CUD busts,
+   * and a single set-based UPDATE for the throttled last_activity_at.
+   * @param {Array<{ uid: string, connId: string, activity?: boolean, platform?: string }>} items
+   * @returns {Promise<{ success: boolean, results?: Array<{ uid: string, connId: string, success: boolean, connections?: number, platform?: string|null, error?: string }> }>}
+   */
+  static async updatePresenceFromSocketBatch(items = []) {
+    try {
+      const { items: vItems } = this.validateInputs({
+        items: {
+          value: items,
+          type: "array",
+          required: true,
+          min: 1,
+          max: this.HEARTBEAT_BATCH_MAX,
+        },
+      });
+      if (vItems.length > this.HEARTBEAT_BATCH_MAX) {
+        throw new Error("BATCH_TOO_LARGE");
+      }
+
+      // Validate per item so one bad entry does not drop the whole tick
+      const results = vItems.map((item) => {
+        try {
+          const {
+            uid: vUid,
+            connId: vConnId,
+            activity: vActivity,
+            platform: vPlatform,
+          } = this.validateInputs({
+            uid: {
+              value: item?.uid,
+              type: "string",
+              required: true,
+              trim: true,
+            },
+            connId: {
+              value: item?.connId,
+              type: "string",
+              required: true,
+              trim: true,
+            },
+            activity: {
+              value: item?.activity,
+              type: "bool",
+              required: false,
+              default: false,
+            },
+            platform: {
+              value: item?.platform,
+              type: "string",
+              required: false,
+              trim: true,
+            },
+          });
+          return {
+            uid: vUid,
+            connId: vConnId,
+            activity: vActivity,
+            platform: this.normalizePresencePlatform(vPlatform),
+          };
+        } catch (err) {
+          return {
+            uid: item?.uid ?? null,
+            connId: item?.connId ?? null,
+            success: false,
+            error: err.message || "INVALID_ITEM",
+          };
+        }
+      });
+      const valid = results.filter((r) => r.success === undefined);
+      if (valid.length === 0) return { success: true, results };
+
+      const uids = [...new Set(valid.map((r) => r.uid))];
+      const activeUids = new Set(
+        valid.filter((r) => r.activity).map((r) => r.uid)
+      );
+      const presenceTtl = this.REDIS_TIMING_SECONDS.PRESENCE_TTL;
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const states = await this.readPresenceStates(uids);
+
+      // Connection adds first, then one prune + count per user so counts include the whole batch
+      const commands = valid.map((r) => [
+        "zadd",
+        this.keyPresenceConnections(r.uid),
+        nowSeconds + presenceTtl,
+        this.presenceConnectionMember(r.connId, r.platform),
+      ]);
+      const platformKeys = new Set(
+        valid
+          .filter((r) => r.platform)
+          .map((r) => this.keyPresencePlatform(r.uid, r.platform))
+      );
+      for (const key of platformKeys) {
+        commands.push(["set", key, nowSeconds, { expiry: presenceTtl }]);
+      }
+      const countAt = new Map();
+      for (const uid of uids) {
+        const connectionsKey = this.keyPresenceConnections(uid);
+        commands.push(
+          ["expire", connectionsKey, presenceTtl],
+          ["zremrangebyscore", connectionsKey, "-inf", nowSeconds]
+        );
+        countAt.set(uid, commands.length);
+        commands.push(
+          ["zcard", connectionsKey],
+          ["set", this.keyPresenceSummary(uid), "1", { expiry: presenceTtl }],
+          [
+            "set",
+            this.keyPresenceLastSeen(uid),
+            nowSeconds,
+            { expiry: this.REDIS_TIMING_SECONDS.LAST_SEEN_TTL },
+          ],
+          ["del", this.keyCriticalUserData(uid)]
+        );
+        // Active users get a new stamp; idle ones keep theirs alive while connected
+        commands.push(
+          activeUids.has(uid)
+            ? [
+                "set",
+                this.keyPresenceActivity(uid),
+                nowSeconds,
+                { expiry: this.REDIS_TIMING_SECONDS.ACTIVITY_TTL },
+              ]
+            : [
+                "expire",
+                this.keyPresenceActivity(uid),
+                this.REDIS_TIMING_SECONDS.ACTIVITY_TTL,
+              ]
+        );
+      }
+      const replies = this.redisResult(await RedisClient.pipeline(commands));
+      this.invalidateCriticalUserDataCache(uids);
+      const connectionsByUid = new Map(
+        uids.map((uid) => [
+          uid,
+          Number(this.redisResult(replies?.[countAt.get(uid)])) || 0,
+        ])
+      );
+
+      // Only actual transitions publish, so a steady-state tick stays at two Redis round trips
+      await Promise.all(
+        uids.map((uid, i) => {
+          const { override, summary, activityAt, lastSeenAt, schedule } =
+            states[i];
+          const active = activeUids.has(uid);
+          return this.emitPresenceChange(
+            uid,
+            this.resolvePresence(override, summary, {
+              schedule,
+              idle: this.isIdle(activityAt, lastSeenAt ?? nowSeconds),
+            }),
+            this.resolvePresence(override, "1", {
+              schedule,
+              idle: !active && this.isIdle(activityAt, nowSeconds),
+            }),
+            active ? "activity" : "heartbeat"
+          );
+        })
+      );
+
+      // Throttled durable lastActivityAt for the whole batch in one statement
+      await db.query(
+        "default",
+        "UPDATE users SET last_activity_at = NOW() WHERE uid = ANY($1) AND (last_activity_at IS NULL OR NOW() - last_activity_at > INTERVAL '60 seconds')",
+        [uids]
+      );
+      await this.recordPresenceSessions(valid);
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "updatePresenceFromSocketBatch",
+        message: "Presence heartbeat batch processed",
+        data: { items: vItems.length, users: uids.length },
+      });
+      return {
+        success: true,
+        results: results.map((r) =>
+          r.success === false
+            ? r
+            : {
+                uid: r.uid,
+                connId: r.connId,
+                success: true,
+                connections: connectionsByUid.get(r.uid),
+                platform: r.platform,
+              }
+        ),
+      };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.updatePresenceFromSocketBatch",
+        count: Array.isArray(items) ? items.length : 0,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Record user input (typing, clicks, focus) outside the heartbeat. Clears idle auto-away immediately.
+   * @param {string} uid
+   * @returns {Promise<{ success: boolean }>}
+   */
+  static async recordUserActivity(uid) {
+    try {
+      const { uid: vUid } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+      });
+
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const { override, summary, activityAt, schedule } =
+        await this.readPresenceState(vUid);
+      await this.touchPresenceActivity(vUid, nowSeconds);
+      await this.emitPresenceChange(
+        vUid,
+        this.resolvePresence(override, summary, {
+          schedule,
+          idle: this.isIdle(activityAt, nowSeconds),
+        }),
+        this.resolvePresence(override, summary, { schedule }),
+        "activity"
+      );
+      return { success: true };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.recordUserActivity", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Stamp the user's last activity (epoch seconds) and bust CUD so an auto-away clears on next read.
+   * @param {string} uid
+   * @param {number} nowSeconds
+   */
+  static async touchPresenceActivity(uid, nowSeconds) {
+    await RedisClient.set(this.keyPresenceActivity(uid), nowSeconds, {
+      expiry: this.REDIS_TIMING_SECONDS.ACTIVITY_TTL,
+    });
+    await this.dropCriticalUserData(uid);
+  }
+
+  /**
+   * Server-side socket hook for a clean disconnect: drop one connection from the user's presence set.
+   * The user only goes offline once no live connections remain.
+   * @param {string} uid
+   * @param {string} connId
+   * @returns {Promise<{ success: boolean, connections: number, online: boolean }>}
+   */
+  static async removePresenceConnection(uid, connId) {
+    try {
+      const { uid: vUid, connId: vConnId } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        connId: { value: connId, type: "string", required: true, trim: true },
+      });
+
+      const connectionsKey = this.keyPresenceConnections(vUid);
+      const summaryKey = this.keyPresenceSummary(vUid);
+      const platforms = Object.values(this.PRESENCE_PLATFORM);
+      const platformKeys = platforms.map((platform) =>
+        this.keyPresencePlatform(vUid, platform)
+      );
+      const { override, summary, activityAt, schedule } =
+        await this.readPresenceState(vUid);
+      const idle = this.isIdle(activityAt);
+      // The member may be tagged with any platform (or none, for older clients)
+      await RedisClient.zrem(
+        connectionsKey,
+        vConnId,
+        ...platforms.map((platform) =>
+          this.presenceConnectionMember(vConnId, platform)
+        )
+      );
+      const connections = await this.countLivePresenceConnections(vUid);
+      await RedisClient.set(
+        this.keyPresenceLastSeen(vUid),
+        Math.floor(Date.now() / 1000),
+        { expiry: this.REDIS_TIMING_SECONDS.LAST_SEEN_TTL }
+      );
+
+      if (connections === 0) {
+        await RedisClient.mdel(summaryKey, connectionsKey, ...platformKeys);
+        await this.emitPresenceChange(
+          vUid,
+          this.resolvePresence(override, summary, { idle, schedule }),
+          this.resolvePresence(override, null, { idle, schedule }),
+          "disconnect"
+        );
+      } else {
+        // Shrink summary and per-platform TTLs to the newest remaining connection's expiry
+        const live =
+          this.redisResult(
+            await RedisClient.zrange(connectionsKey, 0, -1, {
+              rev: true,
+              withScores: true,
+            })
+          ) || [];
+        const secondsUntil = (expiry) =>
+          Math.max(1, Math.ceil(expiry - Date.now() / 1000));
+        const newestExpiry = Number(live[0]?.score);
+        if (newestExpiry) {
+          await RedisClient.set(summaryKey, "1", {
+            expiry: secondsUntil(newestExpiry),
+          });
+        }
+        for (const [p, platform] of platforms.entries()) {
+          const newestOnPlatform = live.find((m) =>
+            String(m.value).startsWith(`${platform}:`)
+          );
+          if (newestOnPlatform) {
+            await RedisClient.expire(
+              platformKeys[p],
+              secondsUntil(Number(newestOnPlatform.score))
+            );
+          } else {
+            await RedisClient.del(platformKeys[p]);
+          }
+        }
+      }
+      await this.closePresenceSessions(vUid, vConnId);
+
+      // Bust CUD so next read merges fresh presence if needed
+      await this.dropCriticalUserData(vUid);
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "removePresenceConnection",
+        message: "Presence connection removed",
+        data: { uid: vUid, connId: vConnId, connections },
+      });
+      return { success: true, connections, online: connections > 0 };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.removePresenceConnection",
+        uid,
+        connId,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Apply presence override in Redis (authoritative for UI), and persist preference durably for rebuild.
+   * Optional expiry: a duration ("30m", "2h", "90 minutes") or an absolute time ("2025-10-20 15:30:00"),
+   * after which the override reverts to "real".
+   * @param {string} uid
+   * @param {'real'|'away'|'offline'|'busy'|'dnd'|'invisible'} mode
+   * @param {{ expires?: string, timeZone?: string }} [options]
+   * @returns {Promise<object>}
+   */
+  static async setPresenceOverride(uid, mode, options = {}) {
+    try {
+      const {
+        uid: vUid,
+        mode: vMode,
+        expires: vExpires,
+        timeZone: vTimeZone,
+      } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        mode: { value: mode, type: "string", required: true, trim: true },
+        expires: { value: options.expires, type: "string", required: false },
+        timeZone: { value: options.timeZone, type: "string", required: false },
+      });
+
+      if (!Object.values(this.PRESENCE_MODE).includes(vMode)) {
+        throw new Error("INVALID_PRESENCE_MODE");
+      }
+
+      // A timed "real" override makes no sense — real is what we revert to
+      const expiresAt =
+        vExpires && vMode !== this.PRESENCE_MODE.REAL
+          ? this.parseOverrideExpiry(vExpires, vTimeZone)
+          : null;
+
+      // console.log("setPresenceOverride", { uid: vUid, mode: vMode });
+      const { override, summary, activityAt, schedule } =
+        await this.readPresenceState(vUid);
+      const idle = this.isIdle(activityAt);
+      const overrideKey = this.keyPresenceOverride(vUid);
+      const metaKey = this.keyPresenceOverrideMeta(vUid);
+      if (expiresAt) {
+        const ttl = expiresAt - Math.floor(Date.now() / 1000);
+        await RedisClient.set(overrideKey, vMode, { expiry: ttl });
+        // Meta outlives the override briefly so the expiry handler still knows what lapsed
+        await this.redisSetJson(
+          metaKey,
+          { mode: vMode, expiresAt },
+          ttl + this.REDIS_TIMING_SECONDS.PRESENCE_OVERRIDE_META_GRACE
+        );
+      } else {
+        await RedisClient.set(overrideKey, vMode); // no TTL
+        await RedisClient.del(metaKey);
+      }
+      await this.dropCriticalUserData(vUid); // bust CUD
+      await this.emitPresenceChange(
+        vUid,
+        this.resolvePresence(override, summary, { idle, schedule }),
+        this.resolvePresence(vMode, summary, { idle, schedule }),
+        "override"
+      );
+      // Persist preference for rebuild only
+      const result = await db.query(
+        "default",
+        "UPDATE user_settings SET presence_preference = $1, presence_override_expires_at = to_timestamp($3), updated_at = NOW() WHERE uid = $2 RETURNING *",
+        [vMode, vUid, expiresAt]
+      );
+      if (!result?.rows[0]) {
+        throw new Error("PERSISTENCE_FAILED");
+      }
+      // console.log("result", result.rows);
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "setPresenceOverride",
+        message: "Presence override updated",
+        data: { uid: vUid, mode: vMode, expiresAt },
+      });
+
+      return result?.rows[0];
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.setPresenceOverride",
+        uid,
+        mode,
+      });
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Set (or clear) the user's custom status message and emoji, stored next to the presence override.
+   * The text goes through SafeUtils.sanitizeTextField; the emoji is checked as given against EMOJI_REGEX,
+   * since that sanitizer strips the ZWJ that joins sequences like 👩‍💻. Passing neither clears the status.
+   * Persisted in user_settings for rebuild.
+   * @param {string} uid
+   * @param {{ text?: string, emoji?: string }} [status]
+   * @returns {Promise<{ success: boolean, statusText?: string|null, statusEmoji?: string|null }>}
+   */
+  static async setCustomStatus(uid, status = {}) {
+    try {
+      const { uid: vUid, text: vText } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        text: { value: status.text, type: "string", required: false },
+      });
+      if (status.emoji != null && typeof status.emoji !== "string") {
+        throw new Error("INVALID_STATUS_EMOJI");
+      }
+      const vEmoji = status.emoji?.trim() || null;
+
+      const policy = this.STATUS_MESSAGE_POLICY;
+      if (vText && Array.from(vText).length > policy.TEXT_MAX_LEN) {
+        throw new Error("STATUS_TEXT_TOO_LONG");
+      }
+      // EMOJI_REGEX admits emoji code points only (ZWJ and VS16 included), so nothing else needs stripping
+      if (
+        vEmoji &&
+        (Array.from(vEmoji).length > policy.EMOJI_MAX_LEN ||
+          !policy.EMOJI_REGEX.test(vEmoji))
+      ) {
+        throw new Error("INVALID_STATUS_EMOJI");
+      }
+
+      const statusKey = this.keyPresenceStatusMessage(vUid);
+      if (vText || vEmoji) {
+        await this.redisSetJson(statusKey, { text: vText, emoji: vEmoji });
+      } else {
+        await RedisClient.del(statusKey);
+      }
+      await this.dropCriticalUserData(vUid); // bust CUD
+
+      // Persist for rebuild only
+      const result = await db.query(
+        "default",
+        "UPDATE user_settings SET status_text = $1, status_emoji = $2, updated_at = NOW() WHERE uid = $3",
+        [vText, vEmoji, vUid]
+      );
+      if (result?.rowCount === 0) {
+        throw new Error("PERSISTENCE_FAILED");
+      }
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "setCustomStatus",
+        message: "Custom status updated",
+        data: { uid: vUid, cleared: !vText && !vEmoji },
+      });
+      return { success: true, statusText: vText, statusEmoji: vEmoji };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.setCustomStatus", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Set (or clear, with null) the user's weekly working hours. Outside them, and while no manual
+   * override is set, the user appears "away" (or "offline", per `outside`).
+   * Redis holds the runtime copy; user_settings.presence_schedule is the durable copy for rebuild.
+   * @param {string} uid
+   * @param {{ timeZone: string, outside?: 'away'|'offline', ranges: Array<{ days: string[], start: string, end: string }> }|null} schedule
+   * @returns {Promise<{ success: boolean, schedule?: object|null }>}
+   */
+  static async setPresenceSchedule(uid, schedule) {
+    try {
+      const { uid: vUid } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+      });
+      const vSchedule =
+        schedule === null ? null : this.normalizePresenceSchedule(schedule);
+
+      const {
+        override,
+        summary,
+        activityAt,
+        schedule: previous,
+      } = await this.readPresenceState(vUid);
+      const idle = this.isIdle(activityAt);
+      if (vSchedule) {
+        await this.redisSetJson(this.keyPresenceSchedule(vUid), vSchedule);
+      } else {
+        await RedisClient.del(this.keyPresenceSchedule(vUid));
+      }
+      await this.dropCriticalUserData(vUid); // bust CUD
+      await this.emitPresenceChange(
+        vUid,
+        this.resolvePresence(override, summary, { idle, schedule: previous }),
+        this.resolvePresence(override, summary, { idle, schedule: vSchedule }),
+        "schedule"
+      );
+
+      // Persist for rebuild only
+      const result = await db.query(
+        "default",
+        "UPDATE user_settings SET presence_schedule = $1, updated_at = NOW() WHERE uid = $2",
+        [vSchedule ? JSON.stringify(vSchedule) : null, vUid]
+      );
+      if (result?.rowCount === 0) {
+        throw new Error("PERSISTENCE_FAILED");
+      }
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "setPresenceSchedule",
+        message: vSchedule
+          ? "Presence schedule set"
+          : "Presence schedule cleared",
+        data: { uid: vUid, schedule: vSchedule },
+      });
+      return { success: true, schedule: vSchedule };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.setPresenceSchedule", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * When will the user next be available? Combines the manual override (a timed one lifts at its
+   * expiry, an untimed one has no known end) with the weekly schedule.
+   * Availability is about intent, not connection: an available user may still be offline.
+   * Viewer-aware like getOnlineStatusForViewer: users hidden from the viewer report `reason: "hidden"`,
+   * and "invisible" counts as no override for anyone but the user. Without `viewerUid` the caller is
+   * treated as an anonymous viewer.
+   * @param {string} uid
+   * @param {{ viewerUid?: string }} [options]
+   * @returns {Promise<{ success: boolean, uid?: string, available?: boolean|null, availableAt?: string|null, availableUntil?: string|null, reason?: 'override'|'schedule'|'hidden'|null }>}
+   */
+  static async getNextAvailability(uid, options = {}) {
+    try {
+      const { uid: vUid, viewerUid: vViewerUid } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        viewerUid: {
+          value: options.viewerUid,
+          type: "string",
+          required: false,
+          trim: true,
+        },
+      });
+
+      if (!(await this.viewerCanSeePresence(vViewerUid ?? null, vUid))) {
+        return {
+          success: true,
+          uid: vUid,
+          available: null,
+          availableAt: null,
+          availableUntil: null,
+          reason: "hidden",
+        };
+      }
+
+      const state = await this.readPresenceState(vUid);
+      const { overrideMeta, schedule } = state;
+      // Invisible must look like no override at all to everyone else
+      const override =
+        state.override === this.PRESENCE_MODE.INVISIBLE && vViewerUid !== vUid
+          ? null
+          : state.override;
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const toIso = (seconds) =>
+        seconds ? new Date(seconds * 1000).toISOString() : null;
+      const blocking = !!override && override !== this.PRESENCE_MODE.REAL;
+
+      // From when is the override out of the way?
+      let from = nowSeconds;
+      if (blocking) {
+        const expiresAt = this.overrideExpiresAt(override, overrideMeta);
+        if (!expiresAt) {
+          return {
+            success: true,
+            uid: vUid,
+            available: false,
+            availableAt: null,
+            availableUntil: null,
+            reason: "override",
+          };
+        }
+        from = Math.floor(Date.parse(expiresAt) / 1000);
+      }
+
+      const window = this.evaluatePresenceSchedule(schedule, from);
+      const availableAt = window.available ? from : window.next;
+      return {
+        success: true,
+        uid: vUid,
+        available: !blocking && window.available,
+        availableAt: toIso(availableAt),
+        availableUntil: toIso(window.until),
+        reason: blocking ? "override" : window.available ? null : "schedule",
+      };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.getNextAvailability", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Called when a timed override key lapses: revert the durable preference to "real" and emit the transition.
+   * The WHERE guard keeps a newer, untimed override from being clobbered.
+   * @param {string} uid
+   * @returns {Promise<object|null>} the emitted event, or null
+   */
+  static async revertExpiredPresenceOverride(uid) {
+    const meta = this.redisResult(
+      await this.redisGetJson(this.keyPresenceOverrideMeta(uid))
+    );
+    const { override, summary, activityAt, schedule } =
+      await this.readPresenceState(uid);
+    if (override) return null; // a new override was set in the meantime
+    const idle = this.isIdle(activityAt);
+
+    await db.query(
+      "default",
+      "UPDATE user_settings SET presence_preference = $1, presence_override_expires_at = NULL, updated_at = NOW() WHERE uid = $2 AND presence_override_expires_at IS NOT NULL AND presence_override_expires_at <= NOW()",
+      [this.PRESENCE_MODE.REAL, uid]
+    );
+    await RedisClient.del(this.keyPresenceOverrideMeta(uid));
+    await this.dropCriticalUserData(uid);
+
+    Logger.writeLog?.({
+      flag: this.LOGGER_FLAG_USERS,
+      action: "revertExpiredPresenceOverride",
+      message: "Timed presence override expired",
+      data: { uid, mode: meta?.mode ?? null },
+    });
+
+    return this.emitPresenceChange(
+      uid,
+      this.resolvePresence(meta?.mode ?? null, summary, { idle, schedule }),
+      this.resolvePresence(null, summary, { idle, schedule }),
+      "override_expired"
+    );
+  }
+
+  /**
+   * Durable sweep for timed overrides: revert every user_settings row whose override has lapsed.
+   * Redis already dropped those keys via TTL; this catches rows the expiry listener missed
+   * (listener down, keyspace notifications disabled). Safe to run from cron.
+   * @returns {Promise<{ success: boolean, reverted?: number }>}
+   */
+  static async expirePresenceOverrides() {
+    try {
+      const res = await db.query(
+        "default",
+        "UPDATE user_settings SET presence_preference = $1, presence_override_expires_at = NULL, updated_at = NOW() WHERE presence_override_expires_at IS NOT NULL AND presence_override_expires_at <= NOW() RETURNING uid",
+        [this.PRESENCE_MODE.REAL]
+      );
+      const reverted = res?.rowCount ?? 0;
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "expirePresenceOverrides",
+        message: "Expired presence overrides reverted",
+        data: { reverted },
+      });
+      return { success: true, reverted };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.expirePresenceOverrides" });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /* ----------------------------------------
+     REDIS RUNTIME: PRESENCE VISIBILITY
+     ---------------------------------------- */
+
+  /**
+   * Choose who can see the user's presence: everyone, contacts only, or nobody.
+   * Redis holds the runtime copy; user_settings.presence_visibility is the durable copy for rebuild.
+   * @param {string} uid
+   * @param {'everyone'|'contacts'|'nobody'} visibility
+   * @returns {Promise<{ success: boolean, visibility?: string }>}
+   */
+  static async setPresenceVisibility(uid, visibility) {
+    try {
+      const { uid: vUid, visibility: vVisibility } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        visibility: {
+          value: visibility,
+          type: "string",
+          required: true,
+          trim: true,
+        },
+      });
+      if (!Object.values(this.PRESENCE_VISIBILITY).includes(vVisibility)) {
+        throw new Error("INVALID_PRESENCE_VISIBILITY");
+      }
+
+      await RedisClient.set(this.keyPresenceVisibility(vUid), vVisibility);
+
+      // Persist for rebuild only
+      const result = await db.query(
+        "default",
+        "UPDATE user_settings SET presence_visibility = $1, updated_at = NOW() WHERE uid = $2",
+        [vVisibility, vUid]
+      );
+      if (result?.rowCount === 0) {
+        throw new Error("PERSISTENCE_FAILED");
+      }
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "setPresenceVisibility",
+        message: "Presence visibility updated",
+        data: { uid: vUid, visibility: vVisibility },
+      });
+      return { success: true, visibility: vVisibility };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.setPresenceVisibility",
+        uid,
+        visibility,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Mark uids as contacts of `uid` for "contacts only" visibility.
+   * Called by whichever service owns the contact graph. Postgres (user_presence_contacts) is written first
+   * as the durable copy for rebuild; Redis keeps one set per user for lookups.
+   * @param {string} uid
+   * @param {string[]} contactUids
+   * @returns {Promise<{ success: boolean, added?: number }>}
+   */
+  static async addPresenceContacts(uid, contactUids = []) {
+    try {
+      const { uid: vUid, contactUids: vContactUids } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        contactUids: {
+          value: contactUids,
+          type: "array",
+          required: true,
+          min: 1,
+          max: 500,
+        },
+      });
+
+      await db.query(
+        "default",
+        "INSERT INTO user_presence_contacts (uid, contact_uid) SELECT $1, c FROM unnest($2::text[]) AS c ON CONFLICT DO NOTHING",
+        [vUid, vContactUids]
+      );
+      await RedisClient.sadd(this.keyPresenceContacts(vUid), ...vContactUids);
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "addPresenceContacts",
+        message: "Presence contacts added",
+        data: { uid: vUid, count: vContactUids.length },
+      });
+      return { success: true, added: vContactUids.length };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.addPresenceContacts", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Remove uids from the contacts of `uid` (see addPresenceContacts).
+   * @param {string} uid
+   * @param {string[]} contactUids
+   * @returns {Promise<{ success: boolean, removed?: number }>}
+   */
+  static async removePresenceContacts(uid, contactUids = []) {
+    try {
+      const { uid: vUid, contactUids: vContactUids } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        contactUids: {
+          value: contactUids,
+          type: "array",
+          required: true,
+          min: 1,
+          max: 500,
+        },
+      });
+
+      await db.query(
+        "default",
+        "DELETE FROM user_presence_contacts WHERE uid = $1 AND contact_uid = ANY($2)",
+        [vUid, vContactUids]
+      );
+      const removed = await RedisClient.srem(
+        this.keyPresenceContacts(vUid),
+        ...vContactUids
+      );
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "removePresenceContacts",
+        message: "Presence contacts removed",
+        data: { uid: vUid, count: vContactUids.length },
+      });
+      return { success: true, removed: Number(this.redisResult(removed)) || 0 };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.removePresenceContacts",
+        uid,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * May `viewerUid` see the presence of `uid`? Users always see themselves.
+   * @param {string} viewerUid
+   * @param {string} uid
+   * @param {string|null} visibility - absent means everyone
+   * @param {boolean} isContact - viewer is in uid's contacts
+   * @returns {boolean}
+   */
+  static canViewPresence(viewerUid, uid, visibility, isContact) {
+    if (viewerUid === uid) return true;
+    switch (visibility) {
+      case this.PRESENCE_VISIBILITY.NOBODY:
+        return false;
+      case this.PRESENCE_VISIBILITY.CONTACTS:
+        return !!isContact;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Single-target visibility check for presence-derived reads (Redis-only, like the batch path).
+   * @param {string|null} viewerUid - null for an anonymous caller
+   * @param {string} uid
+   * @returns {Promise<boolean>}
+   */
+  static async viewerCanSeePresence(viewerUid, uid) {
+    if (viewerUid === uid) return true;
+    const visibility =
+      this.redisResult(
+        await RedisClient.get(this.keyPresenceVisibility(uid))
+      ) ?? null;
+    let isContact = false;
+    if (viewerUid && visibility === this.PRESENCE_VISIBILITY.CONTACTS) {
+      const reply = this.redisResult(
+        await RedisClient.sismember(this.keyPresenceContacts(uid), viewerUid)
+      );
+      isContact = reply === true || Number(reply) === 1;
+    }
+    return this.canViewPresence(viewerUid, uid, visibility, isContact);
+  }
+
+  /**
+   * Presence view reported for users hidden from the viewer.
+   * @param {'offline'|'unknown'} hiddenStatus
+   */
+  static hiddenPresenceView(hiddenStatus) {
+    return {
+      online: false,
+      status: hiddenStatus,
+      awaySource: null,
+      platforms: [],
+      lastPlatform: null,
+      overrideExpiresAt: null,
+      statusText: null,
+      statusEmoji: null,
+    };
+  }
+
+  /**
+   * Viewer-aware presence for one user (see getBatchOnlineStatusForViewer).
+   * @param {string} viewerUid
+   * @param {string} uid
+   * @param {{ hiddenStatus?: 'offline'|'unknown' }} [options]
+   * @returns {Promise<object>}
+   */
+  static async getOnlineStatusForViewer(viewerUid, uid, options = {}) {
+    try {
+      const { uid: vUid } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+      });
+      const out = await this.getBatchOnlineStatusForViewer(
+        viewerUid,
+        [vUid],
+        options
+      );
+      if (!Array.isArray(out)) throw new Error(out?.error || "UNKNOWN_ERROR");
+      const { uid: _uid, ...presence } = out[0];
+      return presence;
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.getOnlineStatusForViewer",
+        viewerUid,
+        uid,
+      });
+      return this.hiddenPresenceView(this.PRESENCE_VISIBILITY_HIDDEN_STATUS);
+    }
+  }
+
+  /**
+   * Viewer-aware batch presence. Applies each target's visibility rule; hidden users report
+   * `hiddenStatus` ("offline" by default, or "unknown"). Redis-only: presence and visibility reads, plus one
+   * pipelined contact check for targets with "contacts" visibility.
+   * @param {string} viewerUid
+   * @param {string[]} uids
+   * @param {{ hiddenStatus?: 'offline'|'unknown' }} [options]
+   * @returns {Promise<Array<object>>}
+   */
+  static async getBatchOnlineStatusForViewer(
+    viewerUid,
+    uids = [],
+    options = {}
+  ) {
+    try {
+      const {
+        viewerUid: vViewerUid,
+        uids: vUids,
+        hiddenStatus: vHiddenStatus,
+      } = this.validateInputs({
+        viewerUid: {
+          value: viewerUid,
+          type: "string",
+          required: true,
+          trim: true,
+        },
+        uids: { value: uids, type: "array", required: true, min: 1, max: 500 },
+        hiddenStatus: {
+          value: options.hiddenStatus,
+          type: "string",
+          required: false,
+          default: this.PRESENCE_VISIBILITY_HIDDEN_STATUS,
+        },
+      });
+      if (!["offline", "unknown"].includes(vHiddenStatus)) {
+        throw new Error("INVALID_HIDDEN_STATUS");
+      }
+
+      const states = await this.readPresenceStates(vUids);
+      const rules =
+        this.redisResult(
+          await RedisClient.mget(...vUids.map(this.keyPresenceVisibility))
+        ) || [];
+      const contactChecks = vUids.filter(
+        (uid, i) =>
+          uid !== vViewerUid && rules[i] === this.PRESENCE_VISIBILITY.CONTACTS
+      );
+      const contactReplies = contactChecks.length
+        ? this.redisResult(
+            await RedisClient.pipeline(
+              contactChecks.map((uid) => [
+                "sismember",
+                this.keyPresenceContacts(uid),
+                vViewerUid,
+              ])
+            )
+          ) || []
+        : [];
+      const contactOf = new Set(
+        contactChecks.filter((uid, i) => {
+          const reply = this.redisResult(contactReplies[i]);
+          return reply === true || Number(reply) === 1;
+        })
+      );
+
+      return vUids.map((uid, i) => {
+        const visibility = rules[i] ?? null;
+        const isContact = contactOf.has(uid);
+        if (!this.canViewPresence(vViewerUid, uid, visibility, isContact)) {
+          return { uid, ...this.hiddenPresenceView(vHiddenStatus) };
+        }
+        return {
+          uid,
+          ...this.presenceView(states[i], { self: vViewerUid === uid }),
+        };
+      });
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.getBatchOnlineStatusForViewer",
+        viewerUid,
+        uids,
+      });
+      return { success: false, data: [], error: err.message };
+    }
+  }
+
+  /* ----------------------------------------
+     REDIS RUNTIME: LAST SEEN
+     ---------------------------------------- */
+
+  /**
+   * Shape a last-seen record from an epoch-seconds timestamp.
+   * @param {string} uid
+   * @param {number|null} seenAtSeconds
+   * @param {'redis'|'postgres'|null} source
+   * @returns {{uid:string, lastSeenAt:string|null, label:string|null, shortLabel:string|null, source:string|null, hidden:boolean}}
+   */
+  static buildLastSeen(uid, seenAtSeconds, source) {
+    if (!seenAtSeconds) {
+      return {
+        uid,
+        lastSeenAt: null,
+        label: null,
+        shortLabel: null,
+        source: null,
+        hidden: false,
+      };
+    }
+    return {
+      uid,
+      lastSeenAt: new Date(seenAtSeconds * 1000).toISOString(),
+      label: DateTime.formatPrettyRelativeTime(seenAtSeconds) || null,
+      shortLabel: DateTime.getRelativeTime(seenAtSeconds) || null,
+      source,
+      hidden: false,
+    };
+  }
+
+  /**
+   * Does this override hide the user's last-seen time? True for "offline" and "invisible".
+   * @param {string|null} override
+   * @returns {boolean}
+   */
+  static hidesLastSeen(override) {
+    return (
+      override === this.PRESENCE_MODE.OFFLINE ||
+      override === this.PRESENCE_MODE.INVISIBLE
+    );
+  }
+
+  /**
+   * Hidden last-seen record for users whose override hides it (see hidesLastSeen).
+   * @param {string} uid
+   */
+  static hiddenLastSeen(uid) {
+    return {
+      uid,
+      lastSeenAt: null,
+      label: null,
+      shortLabel: null,
+      source: null,
+      hidden: true,
+    };
+  }
+
+  /**
+   * Convert a Postgres timestamp (Date or string) to epoch seconds.
+   * @param {Date|string|null} value
+   * @returns {number|null}
+   */
+  static toEpochSeconds(value) {
+    if (!value) return null;
+    const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+  }
+
+  /**
+   * When was the user last seen? Redis last-heartbeat first, users.last_activity_at as fallback.
+   * Users with an "offline" or "invisible" override get a hidden record so their activity doesn't leak.
+   * @param {string} uid
+   * @returns {Promise<{uid:string, lastSeenAt:string|null, label:string|null, shortLabel:string|null, source:'redis'|'postgres'|null, hidden:boolean}>}
+   */
+  static async getLastSeen(uid) {
+    try {
+      const { uid: vUid } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+      });
+
+      const [override, lastSeen] = this.redisResult(
+        await RedisClient.mget(
+          this.keyPresenceOverride(vUid),
+          this.keyPresenceLastSeen(vUid)
+        )
+      ) || [null, null];
+      if (this.hidesLastSeen(override)) return this.hiddenLastSeen(vUid);
+
+      const redisSeconds = Number(lastSeen) || null;
+      if (redisSeconds) return this.buildLastSeen(vUid, redisSeconds, "redis");
+
+      const res = await db.query(
+        "default",
+        "SELECT last_activity_at FROM users WHERE uid = $1 LIMIT 1",
+        [vUid]
+      );
+      const pgSeconds = this.toEpochSeconds(res?.rows?.[0]?.last_activity_at);
+      return this.buildLastSeen(vUid, pgSeconds, "postgres");
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.getLastSeen", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Batched last-seen (order-preserving). Redis MGET first, one Postgres query for misses.
+   * @param {string[]} uids
+   * @returns {Promise<Array<object>>}
+   */
+  static async getBatchLastSeen(uids = []) {
+    try {
+      const { uids: vUids } = this.validateInputs({
+        uids: { value: uids, type: "array", required: true, min: 1, max: 500 },
+      });
+
+      const overrides =
+        this.redisResult(
+          await RedisClient.mget(...vUids.map(this.keyPresenceOverride))
+        ) || [];
+      const lastSeens =
+        this.redisResult(
+          await RedisClient.mget(...vUids.map(this.keyPresenceLastSeen))
+        ) || [];
+
+      const out = new Map();
+      const misses = [];
+      vUids.forEach((uid, i) => {
+        if (this.hidesLastSeen(overrides[i])) {
+          out.set(uid, this.hiddenLastSeen(uid));
+          return;
+        }
+        const redisSeconds = Number(lastSeens[i]) || null;
+        if (redisSeconds) {
+          out.set(uid, this.buildLastSeen(uid, redisSeconds, "redis"));
+        } else {
+          misses.push(uid);
+        }
+      });
+
+      if (misses.length > 0) {
+        const res = await db.query(
+          "default",
+          "SELECT uid, last_activity_at FROM users WHERE uid = ANY($1)",
+          [misses]
+        );
+        const rowsByUid = new Map(
+          (res?.rows || []).map((r) => [r.uid, r.last_activity_at])
+        );
+        for (const uid of misses) {
+          const pgSeconds = this.toEpochSeconds(rowsByUid.get(uid));
+          out.set(uid, this.buildLastSeen(uid, pgSeconds, "postgres"));
+        }
+      }
+
+      return vUids.map((uid) => out.get(uid));
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.getBatchLastSeen", uids });
+      return { success: false, data: [], error: err.message };
+    }
+  }
+
+  /* ----------------------------------------
+     POSTGRES DURABLE: PRESENCE SESSIONS
+     ---------------------------------------- */
+
+  /**
+   * Open (or keep alive) one session row per live connection.
+   * New connections insert; known ones only bump last_heartbeat_at once per HEARTBEAT_WRITE_THROTTLE.
+   * Session history is analytics only, so failures are captured and never fail the heartbeat.
+   * @param {Array<{ uid: string, connId: string, platform?: string|null }>} entries
+   */
+  static async recordPresenceSessions(entries) {
+    try {
+      // ON CONFLICT cannot touch the same row twice in one statement
+      const unique = new Map(entries.map((e) => [`${e.uid}:${e.connId}`, e]));
+      const rows = [...unique.values()];
+      await db.query(
+        "default",
+        `INSERT INTO user_presence_sessions (uid, conn_id, platform)
+         SELECT * FROM unnest($1::text[], $2::text[], $3::text[])
+         ON CONFLICT (uid, conn_id) WHERE ended_at IS NULL
+         DO UPDATE SET last_heartbeat_at = NOW(),
+                       platform = COALESCE(EXCLUDED.platform, user_presence_sessions.platform)
+         WHERE user_presence_sessions.last_heartbeat_at < NOW() - make_interval(secs => $4)`,
+        [
+          rows.map((r) => r.uid),
+          rows.map((r) => r.connId),
+          rows.map((r) => r.platform ?? null),
+          this.PRESENCE_SESSION_POLICY.HEARTBEAT_WRITE_THROTTLE,
+        ]
+      );
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.recordPresenceSessions",
+        count: entries.length,
+      });
+    }
+  }
+
+  /**
+   * Close open session rows for a user.
+   * With connId (clean disconnect) the session ends now; without it (summary key expired)
+   * every open session ends one PRESENCE_TTL after its last recorded heartbeat.
+   * @param {string} uid
+   * @param {string|null} [connId]
+   */
+  static async closePresenceSessions(uid, connId = null) {
+    try {
+      if (connId) {
+        await db.query(
+          "default",
+          "UPDATE user_presence_sessions SET ended_at = NOW() WHERE uid = $1 AND conn_id = $2 AND ended_at IS NULL",
+          [uid, connId]
+        );
+      } else {
+        await db.query(
+          "default",
+          "UPDATE user_presence_sessions SET ended_at = LEAST(NOW(), last_heartbeat_at + make_interval(secs => $2)) WHERE uid = $1 AND ended_at IS NULL",
+          [uid, this.REDIS_TIMING_SECONDS.PRESENCE_TTL]
+        );
+      }
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.closePresenceSessions",
+        uid,
+        connId,
+      });
+    }
+  }
+
+  /**
+   * Resolve an inclusive day range ("yyyy-MM-dd") into epoch bounds and per-day buckets.
+   * Defaults to the last DEFAULT_RANGE_DAYS days ending today.
+   * @param {{ from?: string, to?: string, timeZone?: string }} range
+   * @returns {{ from: string, to: string, start: number, end: number, days: Array<{date:string, start:number, end:number}> }}
+   */
+  static resolveDayRange(range = {}) {
+    const { timeZone = null } = range;
+    const policy = this.PRESENCE_SESSION_POLICY;
+    const to = range.to || DateTime.now("yyyy-MM-dd", timeZone);
+    const from =
+      range.from ||
+      DateTime.addDays(to, -(policy.DEFAULT_RANGE_DAYS - 1), timeZone);
+
+    const startOfFrom = DateTime.getStartOfDay(from, timeZone);
+    const endOfTo = DateTime.getEndOfDay(to, timeZone);
+    if (!startOfFrom || !endOfTo) throw new Error("INVALID_RANGE");
+
+    const days = [];
+    let dayStart = startOfFrom;
+    while (dayStart <= endOfTo) {
+      const next = DateTime.addDays(dayStart, 1, timeZone);
+      days.push({
+        date: dayStart.slice(0, 10),
+        start: DateTime.parseDateToTimestamp(dayStart, timeZone),
+        end: DateTime.parseDateToTimestamp(next, timeZone),
+      });
+      if (days.length > policy.MAX_RANGE_DAYS)
+        throw new Error("RANGE_TOO_LARGE");
+      dayStart = next;
+    }
+    if (days.length === 0) throw new Error("INVALID_RANGE");
+
+    return {
+      from: days[0].date,
+      to: days[days.length - 1].date,
+      start: days[0].start,
+      end: days[days.length - 1].end,
+      days,
+    };
+  }
+
+  /**
+   * Load sessions overlapping [start, end) with effective bounds in epoch seconds.
+   * Open sessions run until now, or until their presence would have lapsed if heartbeats stopped.
+   */
+  static async loadPresenceSessions(uid, start, end, limit) {
+    const res = await db.query(
+      "default",
+      `SELECT conn_id, platform, started_at, last_heartbeat_at, ended_at
+         FROM user_presence_sessions
+        WHERE uid = $1 AND started_at < to_timestamp($3)
+          AND (ended_at IS NULL OR ended_at > to_timestamp($2))
+        ORDER BY started_at DESC
+        LIMIT $4`,
+      [uid, start, end, limit]
+    );
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const lapse =
+      this.REDIS_TIMING_SECONDS.PRESENCE_TTL +
+      this.PRESENCE_SESSION_POLICY.HEARTBEAT_WRITE_THROTTLE;
+    return (res?.rows || []).map((row) => {
+      const startedAt = this.toEpochSeconds(row.started_at);
+      const endedAt = this.toEpochSeconds(row.ended_at);
+      const lapsedAt =
+        (this.toEpochSeconds(row.last_heartbeat_at) || 0) + lapse;
+      return {
+        connId: row.conn_id,
+        platform: row.platform ?? null,
+        startedAt,
+        endedAt: endedAt ?? Math.min(nowSeconds, lapsedAt),
+        active: !endedAt && lapsedAt > nowSeconds,
+      };
+    });
+  }
+
+  /**
+   * Presence sessions (one per connection) overlapping a day range, newest first.
+   * @param {string} uid
+   * @param {{ from?: string, to?: string, timeZone?: string, limit?: number }} [range] - days as "yyyy-MM-dd", inclusive
+   * @returns {Promise<{ success: boolean, uid?: string, from?: string, to?: string, sessions?: Array<{connId:string, platform:string|null, startedAt:string, endedAt:string|null, durationSeconds:number, active:boolean}> }>}
+   */
+  static async getPresenceSessions(uid, range = {}) {
+    try {
+      const {
+        uid: vUid,
+        from: vFrom,
+        to: vTo,
+        timeZone: vTimeZone,
+        limit: vLimit,
+      } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        from: { value: range.from, type: "string", required: false },
+        to: { value: range.to, type: "string", required: false },
+        timeZone: { value: range.timeZone, type: "string", required: false },
+        limit: {
+          value: range.limit,
+          type: "int",
+          required: false,
+          default: this.PRESENCE_SESSION_POLICY.MAX_SESSIONS,
+        },
+      });
+
+      const window = this.resolveDayRange({
+        from: vFrom,
+        to: vTo,
+        timeZone: vTimeZone,
+      });
+      const sessions = await this.loadPresenceSessions(
+        vUid,
+        window.start,
+        window.end,
+        Math.min(Math.max(vLimit, 1), this.PRESENCE_SESSION_POLICY.MAX_SESSIONS)
+      );
+
+      return {
+        success: true,
+        uid: vUid,
+        from: window.from,
+        to: window.to,
+        timeZone: vTimeZone,
+        sessions: sessions.map((s) => ({
+          connId: s.connId,
+          platform: s.platform,
+          startedAt: new Date(s.startedAt * 1000).toISOString(),
+          endedAt: s.active ? null : new Date(s.endedAt * 1000).toISOString(),
+          durationSeconds: Math.max(0, s.endedAt - s.startedAt),
+          active: s.active,
+        })),
+      };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.getPresenceSessions", uid });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Minutes online per day. Overlapping sessions (several tabs/devices) count once,
+   * and sessions crossing midnight are split between days in the given time zone.
+   * @param {string} uid
+   * @param {{ from?: string, to?: string, timeZone?: string }} [range] - days as "yyyy-MM-dd", inclusive
+   * @returns {Promise<{ success: boolean, uid?: string, days?: Array<{date:string, minutes:number}>, totalMinutes?: number }>}
+   */
+  static async getDailyOnlineMinutes(uid, range = {}) {
+    try {
+      const {
+        uid: vUid,
+        from: vFrom,
+        to: vTo,
+        timeZone: vTimeZone,
+      } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        from: { value: range.from, type: "string", required: false },
+        to: { value: range.to, type: "string", required: false },
+        timeZone: { value: range.timeZone, type: "string", required: false },
+      });
+
+      const window = this.resolveDayRange({
+        from: vFrom,
+        to: vTo,
+        timeZone: vTimeZone,
+      });
+      const sessions = await this.loadPresenceSessions(
+        vUid,
+        window.start,
+        window.end,
+        this.PRESENCE_SESSION_POLICY.MAX_DAILY_SESSIONS
+      );
+
+      // Merge overlapping intervals so concurrent connections are not double counted
+      const merged = [];
+      for (const s of sessions.sort((a, b) => a.startedAt - b.startedAt)) {
+        const last = merged[merged.length - 1];
+        if (last && s.startedAt <= last.end) {
+          last.end = Math.max(last.end, s.endedAt);
+        } else {
+          merged.push({ start: s.startedAt, end: s.endedAt });
+        }
+      }
+
+      let totalSeconds = 0;
+      const days = window.days.map((day) => {
+        let seconds = 0;
+        for (const interval of merged) {
+          seconds += Math.max(
+            0,
+            Math.min(interval.end, day.end) -
+              Math.max(interval.start, day.start)
+          );
+        }
+        totalSeconds += seconds;
+        return { date: day.date, minutes: Math.round(seconds / 60) };
+      });
+
+      return {
+        success: true,
+        uid: vUid,
+        from: window.from,
+        to: window.to,
+        timeZone: vTimeZone,
+        days,
+        totalMinutes: Math.round(totalSeconds / 60),
+      };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.getDailyOnlineMinutes",
+        uid,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Retention job: close sessions whose connection silently went away, then delete
+   * sessions that ended more than RETENTION_DAYS ago.
+   * @param {{ retentionDays?: number }} [options]
+   * @returns {Promise<{ success: boolean, closed?: number, purged?: number }>}
+   */
+  static async purgePresenceSessions(options = {}) {
+    try {
+      const { retentionDays: vRetentionDays } = this.validateInputs({
+        retentionDays: {
+          value: options.retentionDays,
+          type: "int",
+          required: false,
+          default: this.PRESENCE_SESSION_POLICY.RETENTION_DAYS,
+        },
+      });
+      if (!(vRetentionDays > 0)) throw new Error("INVALID_RETENTION_DAYS");
+
+      const presenceTtl = this.REDIS_TIMING_SECONDS.PRESENCE_TTL;
+      const closed = await db.query(
+        "default",
+        "UPDATE user_presence_sessions SET ended_at = last_heartbeat_at + make_interval(secs => $1) WHERE ended_at IS NULL AND last_heartbeat_at < NOW() - make_interval(secs => $2)",
+        [
+          presenceTtl,
+          presenceTtl + this.PRESENCE_SESSION_POLICY.HEARTBEAT_WRITE_THROTTLE,
+        ]
+      );
+      const purged = await db.query(
+        "default",
+        "DELETE FROM user_presence_sessions WHERE ended_at < NOW() - make_interval(days => $1)",
+        [vRetentionDays]
+      );
+
+      const report = {
+        success: true,
+        closed: closed?.rowCount || 0,
+        purged: purged?.rowCount || 0,
+      };
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "purgePresenceSessions",
+        message: "Presence sessions purged",
+        data: { ...report, retentionDays: vRetentionDays },
+      });
+      return report;
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.purgePresenceSessions" });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /* ----------------------------------------
+     REDIS RUNTIME: PRESENCE EVENTS
+     ---------------------------------------- */
+
+  /**
+   * Register an in-process listener for presence transitions.
+   * Event shape: { uid, previousStatus, status, online, reason, timestamp }.
+   * Other processes receive the same events on Redis channel PRESENCE_EVENTS_CHANNEL.
+   * @param {(event: object) => void} listener
+   * @returns {() => void} unsubscribe function
+   */
+  static onPresenceChange(listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError("onPresenceChange(): listener must be a function");
+    }
+    this.presenceListeners.add(listener);
+    return () => this.presenceListeners.delete(listener);
+  }
+
+  /**
+   * Subscribe to Redis key expiry notifications so summary keys that lapse emit an "offline" transition
+   * and timed overrides revert to "real".
+   * Requires `notify-keyspace-events Ex` on the Redis server. Run in ONE process only
+   * (e.g. the socket fan-out worker), otherwise every subscriber re-publishes the same event.
+   * @returns {Promise<{ success: boolean }>}
+   */
+  static async startPresenceExpiryListener() {
+    try {
+      const channel = `__keyevent@${RedisClient.getDatabase()}__:expired`;
+      const subscribed = await RedisClient.subscribe(channel, (key) =>
+        this.handleExpiredPresenceKey(key)
+      );
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "startPresenceExpiryListener",
+        message: "Presence expiry listener started",
+        data: { channel, subscribed },
+      });
+      return { success: subscribed };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.startPresenceExpiryListener",
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Handle one expired key from the keyspace notification channel.
+   * Only presence summary and override keys are of interest; everything else is ignored.
+   * @param {string} key
+   * @returns {Promise<object|null>} the emitted event, or null
+   */
+  static async handleExpiredPresenceKey(key) {
+    try {
+      const overrideUid = this.uidFromKey(
+        key,
+        this.REDIS_KEY_PREFIX.PRESENCE_OVERRIDE_USER
+      );
+      if (overrideUid)
+        return await this.revertExpiredPresenceOverride(overrideUid);
+
+      const uid = this.uidFromKey(
+        key,
+        this.REDIS_KEY_PREFIX.PRESENCE_SUMMARY_USER
+      );
+      if (!uid) return null;
+
+      const { override, activityAt, schedule } =
+        await this.readPresenceState(uid);
+      const idle = this.isIdle(activityAt);
+      await this.closePresenceSessions(uid);
+      await this.dropCriticalUserData(uid);
+      return await this.emitPresenceChange(
+        uid,
+        this.resolvePresence(override, "1", { idle, schedule }),
+        this.resolvePresence(override, null, { idle, schedule }),
+        "expired"
+      );
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.handleExpiredPresenceKey",
+        key,
+      });
+      return null;
+    }
+  }
+
+  /* ----------------------------------------
+     REDIS RUNTIME: USERNAME
+     ---------------------------------------- */
+
+  /**
+   * Username availability via Redis only (owner map + release hold).
+   * Pass `uid` to check on behalf of a user: their own name, and names held for them, are available.
+   * With `detailed: true` returns { taken, reason, availableAt } where reason is INVALID_USERNAME_FORMAT |
+   * USERNAME_RESERVED | USERNAME_BLOCKED | USERNAME_TAKEN | USERNAME_HELD | USERNAME_CONFUSABLE
+   * and availableAt is when a held name frees up.
+   * @param {string} username
+   * @param {{ uid?: string, detailed?: boolean }} [options]
+   * @returns {Promise<boolean|{taken:boolean, reason:string|null, availableAt:string|null}>} true if TAKEN, false if FREE
+   */
+  static async isUsernameTaken(username, options = {}) {
+    try {
+      const {
+        username: vUsername,
+        uid: vUid,
+        detailed: vDetailed,
+      } = this.validateInputs({
+        username: {
+          value: username,
+          type: "string",
+          required: true,
+          trim: true,
+        },
+        uid: {
+          value: options.uid,
+          type: "string",
+          required: false,
+          trim: true,
+        },
+        detailed: {
+          value: options.detailed,
+          type: "bool",
+          required: false,
+          default: false,
+        },
+      });
+      const verdict = (reason, availableAt = null) =>
+        vDetailed ? { taken: !!reason, reason, availableAt } : !!reason;
+
+      // names the policy rejects are treated as not available
+      const policy = this.evaluateUsernamePolicy(vUsername);
+      if (!policy.allowed) return verdict(policy.reason);
+
+      const holdKey = this.keyUsernameHold(vUsername);
+      const [owner, holder, lookalike] = this.redisResult(
+        await RedisClient.mget(
+          this.keyUsernameToUid(vUsername),
+          holdKey,
+          this.keyUsernameSkeleton(vUsername)
+        )
+      ) || [null, null, null];
+      if (owner && owner !== vUid) return verdict("USERNAME_TAKEN");
+      if (holder && holder !== vUid) {
+        const ttl = Number(this.redisResult(await RedisClient.ttl(holdKey)));
+        return verdict("USERNAME_HELD", this.secondsFromNowIso(ttl));
+      }
+      if (lookalike && lookalike !== vUid)
+        return verdict("USERNAME_CONFUSABLE");
+      return verdict(null);
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.isUsernameTaken", username });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Suggest free usernames derived from the requested name and the user's display name.
+   * Candidates use number suffixes and `._-` separators, are truncated to USERNAME_POLICY.MAX_LEN,
+   * pass evaluateUsernamePolicy and are checked in one batched Redis lookup.
+   *
+   * @param {string} base requested username
+   * @param {{count?: number, uid?: string, displayName?: string}} [options]
+   *   displayName defaults to the CUD display name of `uid`
+   * @returns {Promise<{success: true, suggestions: string[]}|{success:false, error:string}>}
+   */
+  static async suggestUsernames(base, options = {}) {
+    try {
+      const {
+        base: vBase,
+        count: vCount,
+        uid: vUid,
+        displayName: vDisplayName,
+      } = this.validateInputs({
+        base: { value: base, type: "string", required: true, trim: true },
+        count: {
+          value: options.count,
+          type: "int",
+          required: false,
+          default: this.USERNAME_SUGGESTION_POLICY.DEFAULT_COUNT,
+        },
+        uid: {
+          value: options.uid,
+          type: "string",
+          required: false,
+          trim: true,
+        },
+        displayName: {
+          value: options.displayName,
+          type: "string",
+          required: false,
+          trim: true,
+        },
+      });
+      const count = Math.min(
+        Math.max(1, vCount),
+        this.USERNAME_SUGGESTION_POLICY.MAX_COUNT
+      );
+
+      let displayName = vDisplayName || "";
+      if (!displayName && vUid) {
+        const cud = await this.getCriticalUserData(vUid);
+        displayName = cud?.displayName || "";
+      }
+
+      const candidates = this.usernameSuggestionCandidates(
+        vBase,
+        displayName,
+        count * this.USERNAME_SUGGESTION_POLICY.POOL_FACTOR
+      );
+      if (candidates.length === 0) return { success: true, suggestions: [] };
+
+      const keys = candidates.flatMap((name) => [
+        this.keyUsernameToUid(name),
+        this.keyUsernameHold(name),
+        this.keyUsernameSkeleton(name),
+      ]);
+      const values = this.redisResult(await RedisClient.mget(...keys)) || [];
+      const suggestions = candidates
+        .filter((_, i) =>
+          values
+            .slice(i * 3, i * 3 + 3)
+            .every((owner) => !owner || owner === vUid)
+        )
+        .slice(0, count);
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "suggestUsernames",
+        message: "Username suggestions generated",
+        data: {
+          base: vBase,
+          candidates: candidates.length,
+          suggestions: suggestions.length,
+        },
+      });
+      return { success: true, suggestions };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.suggestUsernames", base });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Build up to `limit` distinct candidate names (one per confusable skeleton), best first:
+   * plain stems, stems joined with separators, then number suffixes. The requested name is excluded.
+   * @param {string} base
+   * @param {string} displayName
+   * @param {number} limit
+   * @returns {string[]}
+   */
+  static usernameSuggestionCandidates(base, displayName, limit) {
+    const { MAX_LEN } = this.USERNAME_POLICY;
+    const { SEPARATORS } = this.USERNAME_SUGGESTION_POLICY;
+    const clean = (value) =>
+      this.normalizeUsername(value)
+        .replace(/[^\p{L}\p{M}0-9._-]+/gu, "")
+        .replace(/([._-])[._-]+/g, "$1")
+        .replace(/^[._-]+|[._-]+$/g, "");
+    const words = String(displayName || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .map(clean)
+      .filter(Boolean);
+
+    // Lookalikes collapse to one skeleton, so vary which separator each stem / number tries first
+    const rotated = (k) =>
+      SEPARATORS.map((_, i) => SEPARATORS[(i + k) % SEPARATORS.length]);
+    const requested = this.normalizeUsername(base);
+    const stems = [clean(base)];
+    for (const sep of rotated(1)) {
+      if (words.length > 1) stems.push(words.join(sep));
+      if (words.length > 0 && words[0] !== clean(base)) {
+        stems.push([clean(base), words[0]].join(sep));
+      }
+    }
+    if (words.length > 1) stems.push(words[0][0] + words[words.length - 1]);
+
+    const picked = [];
+    const skeletons = new Set([this.usernameSkeleton(requested)]);
+    const add = (stem, suffix = "") => {
+      const name = (
+        Array.from(stem)
+          .slice(0, MAX_LEN - suffix.length)
+          .join("")
+          .replace(/[._-]+$/, "") + suffix
+      ).replace(/^[._-]+/, "");
+      if (picked.length >= limit) return;
+      if (!this.evaluateUsernamePolicy(name).allowed) return;
+      const skeleton = this.usernameSkeleton(name);
+      if (skeletons.has(skeleton)) return;
+      skeletons.add(skeleton);
+      picked.push(name);
+    };
+
+    const uniqueStems = [...new Set(stems.filter(Boolean))];
+    uniqueStems.forEach((stem) => add(stem));
+    // Short counters first, then random 2–4 digit suffixes for crowded names
+    const numbers = [1, 2, 3, 7, 10, 11, 12, 21, 99];
+    for (let i = 0; i < limit; i++) {
+      numbers.push(Math.floor(10 + Math.random() * 9990));
+    }
+    for (const [k, n] of numbers.entries()) {
+      for (const stem of uniqueStems) {
+        for (const sep of rotated(k)) add(stem, `${sep}${n}`);
+      }
+      if (picked.length >= limit) break;
+    }
+    return picked;
+  }
+
+  /**
+   * Prefix search over current usernames (e.g. an @mention picker), in username order.
+   * Reads the lexicographic username index and enriches hits through getCriticalUsersData.
+   *
+   * @param {string} prefix
+   * @param {number} [limit=10] capped at USERNAME_SEARCH_POLICY.MAX_LIMIT
+   * @returns {Promise<{success: true, results: Array<{uid: string, username: string, displayName: string, avatar: string, online: boolean, status: string}>}|{success:false, error:string}>}
+   */
+  static async searchUsernamesByPrefix(prefix, limit) {
+    try {
+      const { prefix: vPrefixRaw, limit: vLimit } = this.validateInputs({
+        prefix: { value: prefix, type: "string", required: true, trim: true },
+        limit: {
+          value: limit,
+          type: "int",
+          required: false,
+          default: this.USERNAME_SEARCH_POLICY.DEFAULT_LIMIT,
+        },
+      });
+      const count = Math.min(
+        Math.max(1, vLimit),
+        this.USERNAME_SEARCH_POLICY.MAX_LIMIT
+      );
+      const vPrefix = this.normalizeUsername(vPrefixRaw);
+      const policy = this.USERNAME_POLICY;
+      const allowed = policy.UNICODE ? policy.UNICODE_REGEX : /^[a-z0-9._-]+$/;
+      if (!allowed.test(vPrefix)) return { success: true, results: [] };
+
+      // Read a little extra so entries dropped below still leave a full page
+      const names =
+        this.redisResult(
+          await RedisClient.zrangebylex(
+            this.keyUsernameIndex(),
+            `[${vPrefix}`,
+            `[${vPrefix}\u{10FFFF}`,
+            { offset: 0, count: count * 2 }
+          )
+        ) || [];
+      if (names.length === 0) return { success: true, results: [] };
+
+      // The index only points at names; owners come from the username map
+      const owners =
+        this.redisResult(
+          await RedisClient.mget(...names.map((n) => this.keyUsernameToUid(n)))
+        ) || [];
+      const hits = [];
+      const stale = [];
+      names.forEach((username, i) => {
+        if (owners[i]) hits.push({ uid: owners[i], username });
+        else stale.push(username);
+      });
+      if (stale.length > 0) {
+        await RedisClient.zrem(this.keyUsernameIndex(), ...stale);
+      }
+
+      const page = hits.slice(0, count);
+      const cuds = page.length
+        ? await this.getCriticalUsersData(page.map((h) => h.uid))
+        : [];
+      const results = page.map((hit, i) => ({
+        ...(cuds[i] || {}),
+        uid: hit.uid,
+        username: hit.username,
+      }));
+      return { success: true, results };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.searchUsernamesByPrefix",
+        prefix,
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Resolve a username (e.g. from a `/u/<name>` link) to its owner.
+   * Current names come from Redis. A name someone renamed away from redirects to their current username
+   * for USERNAME_HISTORY_POLICY.REDIRECT_DAYS, unless another user has claimed it since.
+   *
+   * @param {string} username
+   * @returns {Promise<{success: true, uid: string|null, username: string|null, redirect: boolean}|{success:false, error:string}>}
+   */
+  static async resolveUsername(username) {
+    try {
+      const { username: vUsernameRaw } = this.validateInputs({
+        username: {
+          value: username,
+          type: "string",
+          required: true,
+          trim: true,
+        },
+      });
+      const vUsername = this.normalizeUsername(vUsernameRaw);
+      const notFound = {
+        success: true,
+        uid: null,
+        username: null,
+        redirect: false,
+      };
+      if (!this.isUsernameFormatValid(vUsername)) return notFound;
+
+      const owner = this.redisResult(
+        await RedisClient.get(this.keyUsernameToUid(vUsername))
+      );
+      if (owner) {
+        return {
+          success: true,
+          uid: owner,
+          username: vUsername,
+          redirect: false,
+        };
+      }
+
+      const redirectDays = this.USERNAME_HISTORY_POLICY.REDIRECT_DAYS;
+      if (!(redirectDays > 0)) return notFound;
+
+      // Latest rename away from this name, if still inside the redirect window and not re-claimed
+      const res = await db.query(
+        "default",
+        `SELECT h.uid, u.username_lower AS username
+           FROM username_history h
+           JOIN users u ON u.uid = h.uid
+          WHERE h.old_username = $1
+            AND h.changed_at > NOW() - make_interval(days => $2)
+            AND NOT EXISTS (SELECT 1 FROM users o WHERE o.username_lower = $1)
+          ORDER BY h.changed_at DESC
+          LIMIT 1`,
+        [vUsername, redirectDays]
+      );
+      const row = res?.rows?.[0];
+      if (!row) return notFound;
+
+      // Redis holds the authoritative current name; Postgres is the fallback
+      const current =
+        this.redisResult(
+          await RedisClient.get(this.keyUidToUsername(row.uid))
+        ) ||
+        row.username ||
+        null;
+      if (!current || current === vUsername) return notFound;
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "resolveUsername",
+        message: "Old username redirected",
+        data: { username: vUsername, uid: row.uid, current },
+      });
+      return { success: true, uid: row.uid, username: current, redirect: true };
+    } catch (err) {
+      ErrorHandler.capture?.(err, { where: "Users.resolveUsername", username });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Claim or change username in Redis (authoritative), then persist durable copy in Postgres for rebuild.
+   * - Claim, uid→username mirror update and release of the old name run as one Redis script (check-and-set).
+   * - The released name is held for its previous owner (USERNAME_HOLD), who can take it back meanwhile.
+   * - If the Postgres write fails the Redis change is rolled back.
+   * - Changes are recorded in username_history (see resolveUsername).
+   * - Updates CUD.
+   * - Rejected by the policy engine (see evaluateUsernamePolicy) and for lookalikes of names in use.
+   * Error codes: INVALID_USERNAME_FORMAT, USERNAME_RESERVED, USERNAME_BLOCKED, USERNAME_CONFUSABLE,
+   * USERNAME_TAKEN, USERNAME_HELD (with `availableAt`), USERNAME_CHANGE_COOLDOWN / USERNAME_CHANGE_LIMIT
+   * (with `retryAfter`, see USERNAME_CHANGE_POLICY), PERSIST_FAILED.
+   * @param {string} uid
+   * @param {string} username
+   * @param {{ bypassLimits?: boolean }} [options] bypassLimits: admin renames, not counted towards the limits
+   * @returns {Promise<{ success: boolean, username?: string, previous?: string, error?: string, availableAt?: string, retryAfter?: { seconds: number, at: string, label: string } }>}
+   */
+  static async setUsername(uid, username, options = {}) {
+    try {
+      const {
+        uid: vUid,
+        username: vUsernameRaw,
+        bypassLimits: vBypassLimits,
+      } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        username: {
+          value: username,
+          type: "string",
+          required: true,
+          trim: true,
+        },
+        bypassLimits: {
+          value: options.bypassLimits,
+          type: "bool",
+          required: false,
+          default: false,
+        },
+      });
+
+      const vUsername = this.normalizeUsername(vUsernameRaw);
+      const policy = this.evaluateUsernamePolicy(vUsername);
+      if (!policy.allowed) throw new Error(policy.reason);
+
+      // Change limits apply to renames only, not the first claim or re-setting the same name
+      const current = this.redisResult(
+        await RedisClient.get(this.keyUidToUsername(vUid))
+      );
+      const isRename = !!current && current !== vUsername;
+      // The slot is taken before the claim so concurrent renames cannot all pass the limits
+      const reservation =
+        isRename && !vBypassLimits
+          ? await this.reserveUsernameChange(vUid)
+          : null;
+
+      let claim;
+      try {
+        claim = await this.claimUsernameInRedis(vUid, vUsername);
+      } catch (err) {
+        await this.releaseUsernameChange(vUid, reservation);
+        throw err;
+      }
+      const oldUsername = claim.previous;
+
+      // Durable copy + history row in one statement; a unique violation means Postgres knows an owner Redis lost track of
+      let persisted = null;
+      let persistError = null;
+      try {
+        persisted = await db.query(
+          "default",
+          `WITH updated AS (
+             UPDATE users SET username_lower = $1, updated_at = NOW() WHERE uid = $2 RETURNING uid
+           ), history AS (
+             INSERT INTO username_history (uid, old_username, new_username)
+             SELECT uid, $3, $1 FROM updated WHERE $3::text IS NOT NULL AND $3 <> $1
+           )
+           SELECT uid FROM updated`,
+          [vUsername, vUid, oldUsername || null]
+        );
+      } catch (err) {
+        persistError = err;
+      }
+      if (persistError || !persisted?.rows?.[0]) {
+        await this.rollbackUsernameClaim(vUid, vUsername, claim);
+        await this.releaseUsernameChange(vUid, reservation);
+        if (persistError?.code === "23505") throw new Error("USERNAME_TAKEN");
+        if (persistError) {
+          ErrorHandler.capture?.(persistError, {
+            where: "Users.setUsername.persist",
+            uid: vUid,
+            username: vUsername,
+          });
+        }
+        throw new Error("PERSIST_FAILED");
+      }
+
+      // A concurrent change can turn this call into a no-op; only real renames keep their slot
+      if (!oldUsername || oldUsername === vUsername) {
+        await this.releaseUsernameChange(vUid, reservation);
+      }
+
+      // Update CUD cache if exists
+      const cached = this.unpackCriticalUserData(
+        await RedisClient.get(this.keyCriticalUserData(vUid))
+      );
+      if (cached) {
+        await this.writeCriticalUserData(vUid, {
+          ...cached.cud,
+          username: vUsername,
+        });
+      }
+      this.invalidateCriticalUserDataCache([vUid]);
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "setUsername",
+        message: "Username claimed/updated",
+        data: { uid: vUid, username: vUsername, previous: oldUsername },
+      });
+
+      return {
+        success: true,
+        username: vUsername,
+        previous: oldUsername || undefined,
+      };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.setUsername",
+        uid,
+        username,
+      });
+      return {
+        success: false,
+        error: err.message || "UNKNOWN_ERROR",
+        ...(err.availableAt ? { availableAt: err.availableAt } : {}),
+        ...(err.retryAfter ? { retryAfter: err.retryAfter } : {}),
+      };
+    }
+  }
+
+  /**
+   * Atomically claim `username` for `uid` (see REDIS_SCRIPTS.CLAIM_USERNAME).
+   * The old name is read first and re-checked inside the script; a concurrent rename retries.
+   * The released old name is held for its owner for REDIS_TIMING_SECONDS.USERNAME_HOLD.
+   * @param {string} uid
+   * @param {string} username - normalized
+   * @returns {Promise<{ previous: string|null, heldSeconds: number }>} heldSeconds: hold left on `username` if the uid took it back
+   * @throws {Error} USERNAME_TAKEN | USERNAME_CONFUSABLE | USERNAME_HELD (with `availableAt`)
+   */
+  static async claimUsernameInRedis(uid, username) {
+    for (
+      let attempt = 0;
+      attempt < this.USERNAME_CLAIM_MAX_ATTEMPTS;
+      attempt++
+    ) {
+      const previous =
+        this.redisResult(await RedisClient.get(this.keyUidToUsername(uid))) ||
+        null;
+      const reply = this.redisResult(
+        await RedisClient.eval(
+          this.REDIS_SCRIPTS.CLAIM_USERNAME,
+          this.usernameClaimKeys(uid, username, previous),
+          [
+            uid,
+            username,
+            previous || "",
+            this.REDIS_TIMING_SECONDS.USERNAME_HOLD,
+          ]
+        )
+      );
+      const [status, detail, heldSeconds] = reply || [];
+      if (status === "OK") {
+        return { previous, heldSeconds: Number(heldSeconds) || 0 };
+      }
+      if (status === "TAKEN") throw new Error("USERNAME_TAKEN");
+      if (status === "CONFUSABLE") throw new Error("USERNAME_CONFUSABLE");
+      if (status === "HELD") {
+        const err = new Error("USERNAME_HELD");
+        err.availableAt = this.secondsFromNowIso(Number(detail));
+        throw err;
+      }
+      // "RETRY": the mirror changed between our read and the script
+    }
+    throw new Error("USERNAME_CLAIM_CONFLICT");
+  }
+
+  /**
+   * KEYS for the username claim/rollback scripts. Unused slots repeat the new name's keys.
+   */
+  static usernameClaimKeys(uid, username, previous) {
+    return [
+      this.keyUsernameToUid(username),
+      this.keyUidToUsername(uid),
+      this.keyUsernameToUid(previous || username),
+      this.keyUsernameHold(username),
+      this.keyUsernameHold(previous || username),
+      this.keyUsernameSkeleton(username),
+      this.keyUsernameSkeleton(previous || username),
+      this.keyUsernameIndex(),
+    ];
+  }
+
+  /**
+   * ISO timestamp `seconds` from now, or null for a missing/negative TTL.
+   * @param {number} seconds
+   * @returns {string|null}
+   */
+  static secondsFromNowIso(seconds) {
+    if (!(seconds > 0)) return null;
+    return new Date(Date.now() + seconds * 1000).toISOString();
+  }
+
+  /**
+   * Undo claimUsernameInRedis after a failed durable write (see REDIS_SCRIPTS.ROLLBACK_USERNAME_CLAIM).
+   * Never throws: a failed rollback is captured and left for the reconciliation job.
+   * @param {string} uid
+   * @param {string} username - the name that was claimed
+   * @param {{ previous: string|null, heldSeconds: number }} claim - result of claimUsernameInRedis
+   */
+  static async rollbackUsernameClaim(uid, username, claim) {
+    const { previous, heldSeconds } = claim;
+    try {
+      const restored = this.redisResult(
+        await RedisClient.eval(
+          this.REDIS_SCRIPTS.ROLLBACK_USERNAME_CLAIM,
+          this.usernameClaimKeys(uid, username, previous),
+          [uid, username, previous || "", heldSeconds]
+        )
+      );
+      if (Number(restored) !== 1) {
+        ErrorHandler.capture?.(new Error("USERNAME_ROLLBACK_INCOMPLETE"), {
+          where: "Users.rollbackUsernameClaim",
+          uid,
+          username,
+          previous,
+          restored,
+        });
+      }
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.rollbackUsernameClaim",
+        uid,
+        username,
+        previous,
+      });
+    }
+  }
+
+  /**
+   * Take a rename slot under USERNAME_CHANGE_POLICY (see REDIS_SCRIPTS.RESERVE_USERNAME_CHANGE).
+   * @param {string} uid
+   * @returns {Promise<string|null>} reservation to pass to releaseUsernameChange; null when the policy is off
+   * @throws {Error} USERNAME_CHANGE_COOLDOWN | USERNAME_CHANGE_LIMIT (with `retryAfter`)
+   */
+  static async reserveUsernameChange(uid) {
+    const { MAX_CHANGES, WINDOW_SECONDS, COOLDOWN_SECONDS } =
+      this.USERNAME_CHANGE_POLICY;
+    if (!(MAX_CHANGES > 0) && !(COOLDOWN_SECONDS > 0)) return null;
+
+    const nowMs = Date.now();
+    const nowSeconds = Math.floor(nowMs / 1000);
+    const reservation = `${nowMs}:${Math.random().toString(36).slice(2)}`;
+    const [status, retryAt] =
+      this.redisResult(
+        await RedisClient.eval(
+          this.REDIS_SCRIPTS.RESERVE_USERNAME_CHANGE,
+          [this.keyUsernameChanges(uid)],
+          [
+            nowSeconds,
+            reservation,
+            WINDOW_SECONDS,
+            MAX_CHANGES,
+            COOLDOWN_SECONDS,
+          ]
+        )
+      ) || [];
+    if (status === "OK") return reservation;
+    if (
+      status !== "USERNAME_CHANGE_COOLDOWN" &&
+      status !== "USERNAME_CHANGE_LIMIT"
+    ) {
+      throw new Error("USERNAME_CHANGE_CHECK_FAILED");
+    }
+    const err = new Error(status);
+    err.retryAfter = this.usernameRetryAfter(Number(retryAt) - nowSeconds);
+    throw err;
+  }
+
+  /**
+   * Shape a retry hint for rejected username changes.
+   * @param {number} seconds
+   * @returns {{ seconds: number, at: string, label: string }} at in UTC ISO form, label like "2 days, 3 hours"
+   */
+  static usernameRetryAfter(seconds) {
+    const offset = `+${seconds} seconds`;
+    return {
+      seconds,
+      at: DateTime.generateRelativeTimestamp(
+        "yyyy-MM-dd'T'HH:mm:ss'Z'",
+        offset,
+        "UTC"
+      ),
+      label: DateTime.diffInHumanReadable(
+        DateTime.now(),
+        DateTime.generateRelativeTimestamp("yyyy-MM-dd HH:mm:ss", offset)
+      ),
+    };
+  }
+
+  /**
+   * Give back a slot from reserveUsernameChange when the rename did not happen. Never throws.
+   * @param {string} uid
+   * @param {string|null} reservation
+   */
+  static async releaseUsernameChange(uid, reservation) {
+    if (!reservation) return;
+    try {
+      await RedisClient.zrem(this.keyUsernameChanges(uid), reservation);
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.releaseUsernameChange",
+        uid,
+      });
+    }
+  }
+
+  /* ----------------------------------------
+     MAINTENANCE: REBUILD REDIS FROM POSTGRES
+     ---------------------------------------- */
+
+  /**
+   * Rebuild the Redis runtime state from the durable copies in Postgres after a flush or failover.
+   * Walks users ⟕ user_settings in uid order and restores, only where Redis has no value:
+   * - username_to_uid_* / uid_to_username_* / username_skeleton_* and the username_index from users.username_lower
+   * - holds on released names and rename counters from username_history (see rebuildUsernameHistoryBatch)
+   * - presence overrides (incl. timed ones) from user_settings.presence_preference
+   * - custom status messages from user_settings.status_text / status_emoji
+   * - presence visibility from user_settings.presence_visibility, contact sets from user_presence_contacts
+   * - working-hours schedules from user_settings.presence_schedule
+   * - CUD for users active within `warmCudWithinSeconds`
+   * Redis stays authoritative: existing values that disagree with Postgres are reported as conflicts, never overwritten.
+   * Resumable: the last processed uid is checkpointed in Redis (or pass `afterUid`).
+   *
+   * @param {{ batchSize?: number, afterUid?: string, restart?: boolean, warmCudWithinSeconds?: number, onProgress?: Function }} [options]
+   * @returns {Promise<object>} report: counters, lastUid, conflicts
+   */
+  static async rebuildRedisState(options = {}) {
+    const report = {
+      success: false,
+      batches: 0,
+      processed: 0,
+      lastUid: null,
+      usernamesRestored: 0,
+      overridesRestored: 0,
+      statusMessagesRestored: 0,
+      schedulesRestored: 0,
+      contactsRestored: 0,
+      holdsRestored: 0,
+      usernameChangesRestored: 0,
+      cudWarmed: 0,
+      skipped: 0,
+      conflictCount: 0,
+      conflicts: [],
+    };
+    try {
+      const {
+        batchSize: vBatchSize,
+        afterUid: vAfterUid,
+        restart: vRestart,
+        warmCudWithinSeconds: vWarmWithin,
+      } = this.validateInputs({
+        batchSize: {
+          value: options.batchSize,
+          type: "int",
+          required: false,
+          default: this.REBUILD_POLICY.BATCH_SIZE,
+        },
+        afterUid: { value: options.afterUid, type: "string", required: false },
+        restart: {
+          value: options.restart,
+          type: "bool",
+          required: false,
+          default: false,
+        },
+        warmCudWithinSeconds: {
+          value: options.warmCudWithinSeconds,
+          type: "int",
+          required: false,
+          default: this.REBUILD_POLICY.WARM_CUD_WITHIN_SECONDS,
+        },
+      });
+
+      const checkpointKey = this.REBUILD_POLICY.CHECKPOINT_KEY;
+      let cursor = vAfterUid;
+      if (!cursor && !vRestart) {
+        cursor = this.redisResult(await RedisClient.get(checkpointKey)) || null;
+      }
+      report.lastUid = cursor;
+
+      const addConflict = (conflict) => {
+        report.conflictCount++;
+        if (
+          report.conflicts.length < this.REBUILD_POLICY.MAX_REPORTED_CONFLICTS
+        )
+          report.conflicts.push(conflict);
+      };
+
+      while (true) {
+        const res = await db.query(
+          "default",
+          `SELECT u.uid, u.username_lower AS username, u.display_name, u.avatar_url AS avatar, u.last_activity_at,
+                  s.presence_preference, s.presence_override_expires_at, s.status_text, s.status_emoji,
+                  s.presence_visibility, s.presence_schedule
+             FROM users u
+             LEFT JOIN user_settings s ON s.uid = u.uid
+            WHERE ($1::text IS NULL OR u.uid > $1)
+            ORDER BY u.uid
+            LIMIT $2`,
+          [cursor, vBatchSize]
+        );
+        const rows = res?.rows || [];
+        if (rows.length === 0) break;
+
+        await this.rebuildRedisBatch(rows, vWarmWithin, report, addConflict);
+
+        cursor = rows[rows.length - 1].uid;
+        report.batches++;
+        report.processed += rows.length;
+        report.lastUid = cursor;
+        await RedisClient.set(checkpointKey, cursor);
+
+        Logger.writeLog?.({
+          flag: this.LOGGER_FLAG_USERS,
+          action: "rebuildRedisState_progress",
+          message: "Rebuild batch processed",
+          data: {
+            batches: report.batches,
+            processed: report.processed,
+            lastUid: cursor,
+            conflictCount: report.conflictCount,
+          },
+        });
+        options.onProgress?.({ ...report, conflicts: undefined });
+
+        if (rows.length < vBatchSize) break;
+      }
+
+      await RedisClient.del(checkpointKey);
+      report.success = true;
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "rebuildRedisState",
+        message: "Redis runtime state rebuilt from Postgres",
+        data: { ...report, conflicts: undefined },
+      });
+      return report;
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.rebuildRedisState",
+        lastUid: report.lastUid,
+      });
+      return { ...report, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Restore one batch of rows (see rebuildRedisState). Reads existing Redis values with MGET first
+   * so nothing already present is overwritten.
+   * @param {Array<object>} rows
+   * @param {number} warmWithinSeconds
+   * @param {object} report - mutated counters
+   * @param {(conflict: object) => void} addConflict
+   */
+  static async rebuildRedisBatch(rows, warmWithinSeconds, report, addConflict) {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const named = rows.filter((r) => r.username);
+
+    // 1) Usernames (both directions)
+    const owners = named.length
+      ? await RedisClient.mget(
+          ...named.map((r) => this.keyUsernameToUid(r.username))
+        )
+      : [];
+    const mirrors = named.length
+      ? await RedisClient.mget(
+          ...named.map((r) => this.keyUidToUsername(r.uid))
+        )
+      : [];
+    const usernamePairs = {};
+    const accepted = []; // rows whose name Redis agrees belongs to them
+    named.forEach((row, i) => {
+      const owner = owners[i] ?? null;
+      const mirror = mirrors[i] ?? null;
+      const username = this.normalizeUsername(row.username);
+      if (owner && owner !== row.uid) {
+        addConflict({
+          type: "username_owned_by_other",
+          uid: row.uid,
+          username,
+          redisOwner: owner,
+        });
+        return;
+      }
+      if (mirror && mirror !== username) {
+        addConflict({
+          type: "uid_mapped_to_other_username",
+          uid: row.uid,
+          username,
+          redisUsername: mirror,
+        });
+        return;
+      }
+      accepted.push(row);
+      if (!owner) usernamePairs[this.keyUsernameToUid(username)] = row.uid;
+      if (!mirror) usernamePairs[this.keyUidToUsername(row.uid)] = username;
+      if (!owner || !mirror) report.usernamesRestored++;
+    });
+    if (Object.keys(usernamePairs).length > 0) {
+      await RedisClient.mset(usernamePairs);
+    }
+    // Prefix-search index (ZADD is idempotent)
+    if (accepted.length > 0) {
+      await RedisClient.pipeline(
+        accepted.map((row) => [
+          "zadd",
+          this.keyUsernameIndex(),
+          0,
+          this.normalizeUsername(row.username),
+        ])
+      );
+    }
+
+    // Confusable skeletons; legacy lookalike pairs are reported, first owner in Redis wins
+    const skeletonOwners = accepted.length
+      ? await RedisClient.mget(
+          ...accepted.map((r) => this.keyUsernameSkeleton(r.username))
+        )
+      : [];
+    const skeletonPairs = {};
+    accepted.forEach((row, i) => {
+      const key = this.keyUsernameSkeleton(row.username);
+      const owner = skeletonOwners[i] ?? skeletonPairs[key] ?? null;
+      if (owner && owner !== row.uid) {
+        addConflict({
+          type: "username_confusable_with_other",
+          uid: row.uid,
+          username: this.normalizeUsername(row.username),
+          redisOwner: owner,
+        });
+      } else if (!owner) {
+        skeletonPairs[key] = row.uid;
+      }
+    });
+    if (Object.keys(skeletonPairs).length > 0) {
+      await RedisClient.mset(skeletonPairs);
+    }
+
+    // 1b) Holds on released names and rename counters, from username_history
+    await this.rebuildUsernameHistoryBatch(rows, nowSeconds, report);
+
+    // 2) Presence overrides, status messages + schedules (only where Redis has none)
+    const states = await this.readPresenceStates(rows.map((r) => r.uid));
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const state = states[i];
+      const mode = row.presence_preference;
+
+      if (
+        !state.override &&
+        mode &&
+        mode !== this.PRESENCE_MODE.REAL &&
+        Object.values(this.PRESENCE_MODE).includes(mode)
+      ) {
+        const expiresAt = this.toEpochSeconds(row.presence_override_expires_at);
+        if (!expiresAt) {
+          await RedisClient.set(this.keyPresenceOverride(row.uid), mode);
+          report.overridesRestored++;
+        } else if (expiresAt > nowSeconds) {
+          const ttl = expiresAt - nowSeconds;
+          await RedisClient.set(this.keyPresenceOverride(row.uid), mode, {
+            expiry: ttl,
+          });
+          await this.redisSetJson(
+            this.keyPresenceOverrideMeta(row.uid),
+            { mode, expiresAt },
+            ttl + this.REDIS_TIMING_SECONDS.PRESENCE_OVERRIDE_META_GRACE
+          );
+          report.overridesRestored++;
+        } else {
+          report.skipped++; // lapsed timed override; expirePresenceOverrides() reverts it
+        }
+      } else if (mode && !Object.values(this.PRESENCE_MODE).includes(mode)) {
+        addConflict({
+          type: "invalid_presence_preference",
+          uid: row.uid,
+          mode,
+        });
+      }
+
+      if (!state.statusMessage && (row.status_text || row.status_emoji)) {
+        await this.redisSetJson(this.keyPresenceStatusMessage(row.uid), {
+          text: row.status_text || null,
+          emoji: row.status_emoji || null,
+        });
+        report.statusMessagesRestored++;
+      }
+
+      if (!state.schedule && row.presence_schedule) {
+        try {
+          await this.redisSetJson(
+            this.keyPresenceSchedule(row.uid),
+            this.normalizePresenceSchedule(row.presence_schedule)
+          );
+          report.schedulesRestored++;
+        } catch {
+          addConflict({ type: "invalid_presence_schedule", uid: row.uid });
+        }
+      }
+    }
+
+    // 3) Presence visibility (absent in Redis means everyone)
+    const visibleRows = rows.filter(
+      (r) =>
+        r.presence_visibility &&
+        r.presence_visibility !== this.PRESENCE_VISIBILITY.EVERYONE
+    );
+    if (visibleRows.length > 0) {
+      const current = await RedisClient.mget(
+        ...visibleRows.map((r) => this.keyPresenceVisibility(r.uid))
+      );
+      const visibilityPairs = {};
+      visibleRows.forEach((row, i) => {
+        if (!current[i]) {
+          visibilityPairs[this.keyPresenceVisibility(row.uid)] =
+            row.presence_visibility;
+        }
+      });
+      if (Object.keys(visibilityPairs).length > 0) {
+        await RedisClient.mset(visibilityPairs);
+      }
+    }
+
+    // 3b) Contact sets, for users whose set is missing
+    const contactRows =
+      (
+        await db.query(
+          "default",
+          "SELECT uid, contact_uid FROM user_presence_contacts WHERE uid = ANY($1)",
+          [rows.map((r) => r.uid)]
+        )
+      )?.rows || [];
+    const contactsByUid = new Map();
+    for (const { uid, contact_uid: contactUid } of contactRows) {
+      if (!contactsByUid.has(uid)) contactsByUid.set(uid, []);
+      contactsByUid.get(uid).push(contactUid);
+    }
+    const contactOwners = [...contactsByUid.keys()];
+    const contactSetExists = await Promise.all(
+      contactOwners.map((uid) =>
+        RedisClient.exists(this.keyPresenceContacts(uid))
       )
-        return { online: false, status: "offline" };
-      if (override === this.PRESENCE_MODE.AWAY)
-        return { online: true, status: "away" };
+    );
+    const contactWrites = contactOwners
+      .filter((uid, i) => !contactSetExists[i])
+      .map((uid) => [
+        "sadd",
+        this.keyPresenceContacts(uid),
+        ...contactsByUid.get(uid),
+      ]);
+    if (contactWrites.length > 0) {
+      await RedisClient.pipeline(contactWrites);
+      report.contactsRestored += contactWrites.length;
+    }
 
-      // 2) Check summary key
-      const summary = await RedisClient.get(this.keyPresenceSummary(vUid));
-      const isOnline = !!summary;
-      return { online: isOnline, status: isOnline ? "online" : "offline" };
-    } catch (err) {
-      ErrorHandler.capture?.(err, { where: "Users.getOnlineStatus", uid });
-      return { online: false, status: "offline" };
+    // 4) Pre-warm CUD for recently active users
+    if (warmWithinSeconds > 0) {
+      const recent = rows.filter((r) => {
+        const seen = this.toEpochSeconds(r.last_activity_at);
+        return seen && nowSeconds - seen <= warmWithinSeconds;
+      });
+      if (recent.length > 0) {
+        const presences = await this.readPresenceStates(
+          recent.map((r) => r.uid)
+        );
+        for (let i = 0; i < recent.length; i++) {
+          await this.writeCriticalUserData(
+            recent[i].uid,
+            this.buildCriticalUserData(
+              recent[i],
+              this.presenceView(presences[i])
+            )
+          );
+          report.cudWarmed++;
+        }
+      }
     }
   }
 
   /**
-   * Batch presence for multiple users (20–50 typical). Redis-only.
-   * @param {string[]} uids
-   * @returns {Promise<Array<{uid:string, online:boolean, status:string}>>}
+   * Restore username holds and rename counters for one rebuild batch (see rebuildRedisState).
+   * A hold is restored for a name whose latest release belongs to a uid in the batch, is younger than
+   * REDIS_TIMING_SECONDS.USERNAME_HOLD and that nobody owns now, in Postgres or Redis; its skeleton is
+   * held with it. A counter is restored from the renames inside USERNAME_CHANGE_POLICY.WINDOW_SECONDS
+   * when the user has none in Redis.
+   * @param {Array<object>} rows
+   * @param {number} nowSeconds
+   * @param {object} report - mutated counters
    */
-  static async getBatchOnlineStatus(uids = []) {
-    try {
-      const { uids: vUids } = this.validateInputs({
-        uids: { value: uids, type: "array", required: true, min: 1, max: 500 },
-      });
-
-      // console.log("Validated UIDs:", vUids);
-
-      // overrides
-      const overrideKeys = vUids.map(this.keyPresenceOverride);
-      console.log("Override keys:", overrideKeys);
-      const overrides = await RedisClient.mget(...overrideKeys);
-      console.log("Overrides:", overrides);
-      // summaries
-      const summaryKeys = vUids.map(this.keyPresenceSummary);
-      const summaries = await RedisClient.mget(...summaryKeys);
-
-      const out = [];
-      for (let i = 0; i < vUids.length; i++) {
-        const uid = vUids[i];
-        const ov = overrides[i];
-        if (ov === this.PRESENCE_MODE.OFFLINE) {
-          out.push({ uid, online: false, status: "offline" });
-          continue;
-        }
-        if (ov === this.PRESENCE_MODE.AWAY) {
-          out.push({ uid, online: true, status: "away" });
-          continue;
-        }
+  static async rebuildUsernameHistoryBatch(rows, nowSeconds, report) {
+    const uids = rows.map((r) => r.uid);
+    const holdSeconds = this.REDIS_TIMING_SECONDS.USERNAME_HOLD;
+    const { MAX_CHANGES, WINDOW_SECONDS, COOLDOWN_SECONDS } =
+      this.USERNAME_CHANGE_POLICY;
 
-        const isOnline = !!summaries[i];
-        out.push({
-          uid,
-          online: isOnline,
-          status: isOnline ? "online" : "offline",
+    if (holdSeconds > 0) {
+      const released =
+        (
+          await db.query(
+            "default",
+            `SELECT h.uid, h.old_username, h.changed_at
+               FROM (SELECT DISTINCT ON (old_username) uid, old_username, changed_at
+                       FROM username_history
+                      WHERE old_username IN (SELECT old_username FROM username_history WHERE uid = ANY($1))
+                      ORDER BY old_username, changed_at DESC) h
+              WHERE h.uid = ANY($1)
+                AND h.changed_at > NOW() - make_interval(secs => $2)
+                AND NOT EXISTS (SELECT 1 FROM users u WHERE u.username_lower = h.old_username)`,
+            [uids, holdSeconds]
+          )
+        )?.rows || [];
+      const holds = released
+        .map((row) => ({
+          uid: row.uid,
+          username: this.normalizeUsername(row.old_username),
+          ttl:
+            (this.toEpochSeconds(row.changed_at) ?? 0) +
+            holdSeconds -
+            nowSeconds,
+        }))
+        .filter((hold) => hold.ttl > 0);
+      if (holds.length > 0) {
+        const existing =
+          this.redisResult(
+            await RedisClient.mget(
+              ...holds.flatMap((hold) => [
+                this.keyUsernameToUid(hold.username),
+                this.keyUsernameHold(hold.username),
+                this.keyUsernameSkeleton(hold.username),
+              ])
+            )
+          ) || [];
+        const writes = [];
+        holds.forEach((hold, i) => {
+          const [owner, holder, lookalike] = existing.slice(i * 3, i * 3 + 3);
+          if (owner || holder) return;
+          writes.push([
+            "set",
+            this.keyUsernameHold(hold.username),
+            hold.uid,
+            { expiry: hold.ttl },
+          ]);
+          if (!lookalike) {
+            writes.push([
+              "set",
+              this.keyUsernameSkeleton(hold.username),
+              hold.uid,
+              { expiry: hold.ttl },
+            ]);
+          }
+          report.holdsRestored++;
         });
+        if (writes.length > 0) await RedisClient.pipeline(writes);
       }
-      return out;
-    } catch (err) {
-      ErrorHandler.capture?.(err, {
-        where: "Users.getBatchOnlineStatus",
-        uids,
+    }
+
+    if (MAX_CHANGES > 0 || COOLDOWN_SECONDS > 0) {
+      const changes =
+        (
+          await db.query(
+            "default",
+            `SELECT id, uid, changed_at
+               FROM username_history
+              WHERE uid = ANY($1) AND changed_at > NOW() - make_interval(secs => $2)
+              ORDER BY uid, changed_at`,
+            [uids, WINDOW_SECONDS]
+          )
+        )?.rows || [];
+      const changesByUid = new Map();
+      for (const change of changes) {
+        const changedAt = this.toEpochSeconds(change.changed_at);
+        if (!changedAt) continue;
+        if (!changesByUid.has(change.uid)) changesByUid.set(change.uid, []);
+        changesByUid.get(change.uid).push({ id: change.id, changedAt });
+      }
+      const changeOwners = [...changesByUid.keys()];
+      const counterExists = await Promise.all(
+        changeOwners.map((uid) =>
+          RedisClient.exists(this.keyUsernameChanges(uid))
+        )
+      );
+      const writes = [];
+      changeOwners.forEach((uid, i) => {
+        if (counterExists[i]) return;
+        const key = this.keyUsernameChanges(uid);
+        // Members mirror reserveUsernameChange ("<ms>:<suffix>") so releases and trims treat them alike
+        for (const { id, changedAt } of changesByUid.get(uid)) {
+          writes.push(["zadd", key, changedAt, `${changedAt * 1000}:h${id}`]);
+        }
+        writes.push(["expire", key, WINDOW_SECONDS]);
+        report.usernameChangesRestored++;
       });
-      return { success: false, data: [], error: err.message };
+      if (writes.length > 0) await RedisClient.pipeline(writes);
     }
   }
 
+  /* ----------------------------------------
+     MAINTENANCE: USERNAME RECONCILIATION
+     ---------------------------------------- */
+
   /**
-   * Server-side socket hook: refresh presence summary TTL, optionally bump durable lastActivityAt.
-   * (No frontend code here — this is called by your socket server.)
-   * @param {string} uid
-   * @param {string} connId
-   * @returns {Promise<void>}
+   * Compare the Redis username map (username_to_uid_*), its mirror (uid_to_username_*) and users.username_lower,
+   * classify drift and optionally repair it. Redis stays authoritative; Postgres follows it.
+   * Issue types:
+   * - orphaned_map_entry: username→uid whose user is gone from Postgres or whose mirror names another username (removed)
+   * - orphaned_mirror: uid→username for a user that is gone from Postgres (removed)
+   * - missing_mirror: username→uid without a mirror (mirror restored)
+   * - missing_map_entry: uid→username without a map entry (map entry restored)
+   * - stale_postgres: Redis agrees with itself, users.username_lower does not (Postgres updated)
+   * - conflicting_owner: Postgres gives the name to another uid (that uid's row is moved to its Redis username first;
+   *   left for manual review when it has none)
+   * Names only in Postgres are restored by rebuildRedisState, not here.
+   * The report is written through the Logger (action "reconcileUsernames").
+   *
+   * @param {{ apply?: boolean, batchSize?: number, onProgress?: Function }} [options] dry run unless `apply`
+   * @returns {Promise<{ success: boolean, dryRun: boolean, mapEntries: number, mirrors: number, issueCount: number, fixed: number, counts: Object<string, number>, issues: object[], error?: string }>}
    */
-  static async updatePresenceFromSocket(uid, connId) {
+  static async reconcileUsernames(options = {}) {
+    const report = {
+      success: false,
+      dryRun: true,
+      mapEntries: 0,
+      mirrors: 0,
+      issueCount: 0,
+      fixed: 0,
+      counts: {},
+      issues: [],
+    };
     try {
-      const { uid: vUid, connId: vConnId } = this.validateInputs({
-        uid: { value: uid, type: "string", required: true, trim: true },
-        connId: { value: connId, type: "string", required: true, trim: true },
+      const { apply: vApply, batchSize: vBatchSize } = this.validateInputs({
+        apply: {
+          value: options.apply,
+          type: "bool",
+          required: false,
+          default: false,
+        },
+        batchSize: {
+          value: options.batchSize,
+          type: "int",
+          required: false,
+          default: this.RECONCILE_POLICY.BATCH_SIZE,
+        },
       });
+      report.dryRun = !vApply;
 
-      // Refresh presence summary TTL
-      const result = await RedisClient.set(this.keyPresenceSummary(vUid), {
-        expiry: this.REDIS_TIMING_SECONDS.PRESENCE_TTL,
-      });
-      console.log("result", result);
+      const addIssue = (issue) => {
+        report.issueCount++;
+        report.counts[issue.type] = (report.counts[issue.type] || 0) + 1;
+        if (issue.fixed) report.fixed++;
+        if (report.issues.length < this.RECONCILE_POLICY.MAX_REPORTED_ISSUES) {
+          report.issues.push(issue);
+        }
+      };
 
-      // const second = await RedisClient.get("presence_summary_user_u1");
-      // console.log("second", second);
+      // Scan both sides up front so repairs made along the way are not re-read
+      const { USERNAME_TO_UID, UID_TO_USERNAME } = this.REDIS_KEY_PREFIX;
+      const suffixes = async (prefix) =>
+        (
+          this.redisResult(
+            await RedisClient.scan(
+              `${prefix}*`,
+              this.RECONCILE_POLICY.SCAN_COUNT
+            )
+          ) || []
+        ).map((key) => key.slice(key.indexOf(prefix) + prefix.length));
+      const names = await suffixes(USERNAME_TO_UID);
+      const mirrorUids = await suffixes(UID_TO_USERNAME);
+      report.mapEntries = names.length;
+      report.mirrors = mirrorUids.length;
 
-      // OPTIONAL: Throttle durable lastActivityAt write in Postgres (e.g., once per 60s)
-      // Reads are Redis-only; this is purely for analytics/labels.
-      const update = await db.query(
-        "default",
-        "UPDATE users SET last_activity_at = NOW() WHERE uid = $1 AND (last_activity_at IS NULL OR NOW() - last_activity_at > INTERVAL '60 seconds ')",
-        [vUid]
-      );
-      // const result = await db.query(
-      //   "default",
-      //   `
-      //   UPDATE users
-      //   SET last_activity_at = NOW()
-      //   WHERE uid = $1
-      //     AND (last_activity_at IS NULL OR NOW() - last_activity_at > INTERVAL '60 seconds')
-      //   RETURNING *
-      //   `,
-      //   [vUid]
-      // );
-      // console.log("Update result:", update);
+      for (let i = 0; i < names.length; i += vBatchSize) {
+        await this.reconcileUsernameMapBatch(
+          names.slice(i, i + vBatchSize),
+          vApply,
+          addIssue
+        );
+        options.onProgress?.({ ...report, issues: undefined });
+      }
+      for (let i = 0; i < mirrorUids.length; i += vBatchSize) {
+        await this.reconcileUsernameMirrorBatch(
+          mirrorUids.slice(i, i + vBatchSize),
+          vApply,
+          addIssue
+        );
+        options.onProgress?.({ ...report, issues: undefined });
+      }
 
-      // Bust CUD so next read merges fresh presence if needed
-      await RedisClient.del(this.keyCriticalUserData(vUid));
+      report.success = true;
       Logger.writeLog?.({
         flag: this.LOGGER_FLAG_USERS,
-        action: "updatePresenceFromSocket",
-        message: "Presence heartbeat processed",
-        data: { uid: vUid, connId: vConnId },
+        action: "reconcileUsernames",
+        message: report.dryRun
+          ? "Username reconciliation dry run"
+          : "Username reconciliation applied",
+        data: report,
       });
-      return update;
+      return report;
     } catch (err) {
-      ErrorHandler.capture?.(err, {
-        where: "Users.updatePresenceFromSocket",
-        uid,
-        connId,
-      });
-      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+      ErrorHandler.capture?.(err, { where: "Users.reconcileUsernames" });
+      return { ...report, error: err.message || "UNKNOWN_ERROR" };
     }
   }
 
   /**
-   * Apply presence override in Redis (authoritative for UI), and persist preference durably for rebuild.
-   * @param {string} uid
-   * @param {'real'|'away'|'offline'} mode
-   * @returns {Promise<boolean>}
+   * Load users rows for a batch of uids and/or usernames, keyed both ways.
+   * @param {string[]} uids
+   * @param {string[]} usernames
+   * @returns {Promise<{ byUid: Map<string, string|null>, byName: Map<string, string> }>}
    */
-  static async setPresenceOverride(uid, mode) {
-    try {
-      const { uid: vUid, mode: vMode } = this.validateInputs({
-        uid: { value: uid, type: "string", required: true, trim: true },
-        mode: { value: mode, type: "string", required: true, trim: true },
-      });
+  static async loadUsernameRows(uids, usernames) {
+    const res = await db.query(
+      "default",
+      "SELECT uid, username_lower FROM users WHERE uid = ANY($1) OR username_lower = ANY($2)",
+      [uids, usernames]
+    );
+    const byUid = new Map();
+    const byName = new Map();
+    for (const row of res?.rows || []) {
+      byUid.set(row.uid, row.username_lower || null);
+      if (row.username_lower) byName.set(row.username_lower, row.uid);
+    }
+    return { byUid, byName };
+  }
 
-      // console.log("setPresenceOverride", { uid: vUid, mode: vMode });
-      const result1 = await RedisClient.set(
-        this.keyPresenceOverride(vUid),
-        vMode
-      ); // no TTL
-      const result2 = await RedisClient.del(this.keyCriticalUserData(vUid)); // bust CUD
-      console.log("result1", result1);
-      console.log("result2", result2);
-      // Persist preference for rebuild only
-      const result = await db.query(
-        "default",
-        "UPDATE user_settings SET presence_preference = $1, updated_at = NOW() WHERE uid = $2 RETURNING *",
-        [vMode, vUid]
-      );
-      if (!result?.rows[0]) {
-        throw new Error("PERSISTENCE_FAILED");
+  /**
+   * Reconcile one batch of username→uid entries (see reconcileUsernames).
+   * @param {string[]} names
+   * @param {boolean} apply
+   * @param {(issue: object) => void} addIssue
+   */
+  static async reconcileUsernameMapBatch(names, apply, addIssue) {
+    const owners =
+      this.redisResult(
+        await RedisClient.mget(...names.map((n) => this.keyUsernameToUid(n)))
+      ) || [];
+    const live = names
+      .map((username, i) => ({ username, uid: owners[i] }))
+      .filter((entry) => entry.uid);
+    if (live.length === 0) return;
+    const mirrors =
+      this.redisResult(
+        await RedisClient.mget(...live.map((e) => this.keyUidToUsername(e.uid)))
+      ) || [];
+    const { byUid, byName } = await this.loadUsernameRows(
+      live.map((e) => e.uid),
+      live.map((e) => e.username)
+    );
+
+    for (const [i, { username, uid }] of live.entries()) {
+      const mirror = mirrors[i] || null;
+      if (!byUid.has(uid) || (mirror && mirror !== username)) {
+        addIssue({
+          type: "orphaned_map_entry",
+          uid,
+          username,
+          mirror,
+          fixed: apply && (await this.releaseUsernameEntries(uid, username)),
+        });
+        continue;
       }
-      // console.log("result", result.rows);
-      Logger.writeLog?.({
-        flag: this.LOGGER_FLAG_USERS,
-        action: "setPresenceOverride",
-        message: "Presence override updated",
-        data: { uid: vUid, mode: vMode },
-      });
+      if (!mirror) {
+        addIssue({
+          type: "missing_mirror",
+          uid,
+          username,
+          fixed: apply && (await this.linkUsernameEntries(uid, username)),
+        });
+      }
+      if (byUid.get(uid) === username) continue;
 
-      return result?.rows[0];
-    } catch (err) {
-      ErrorHandler.capture?.(err, {
-        where: "Users.setPresenceOverride",
+      // Redis has uid ↔ username; Postgres disagrees
+      const pgOwner = byName.get(username);
+      if (pgOwner && pgOwner !== uid) {
+        const issue = {
+          type: "conflicting_owner",
+          uid,
+          username,
+          postgresOwner: pgOwner,
+          fixed: false,
+        };
+        if (apply) {
+          // Free the name in Postgres by moving the other row to its own Redis username
+          const theirs = this.redisResult(
+            await RedisClient.get(this.keyUidToUsername(pgOwner))
+          );
+          if (theirs && theirs !== username) {
+            issue.fixed =
+              (await this.persistReconciledUsername(pgOwner, theirs)) &&
+              (await this.persistReconciledUsername(uid, username));
+          }
+        }
+        addIssue(issue);
+        continue;
+      }
+      addIssue({
+        type: "stale_postgres",
         uid,
-        mode,
+        username,
+        postgresUsername: byUid.get(uid),
+        fixed: apply && (await this.persistReconciledUsername(uid, username)),
       });
-      return { success: false, error: err.message };
     }
   }
 
-  /* ----------------------------------------
-     REDIS RUNTIME: USERNAME
-     ---------------------------------------- */
-
   /**
-   * Username availability via Redis map only.
-   * @param {string} username
-   * @returns {Promise<boolean>} true if TAKEN, false if FREE
+   * Reconcile one batch of uid→username mirrors (see reconcileUsernames).
+   * Only mirrors without a matching map entry are looked at; the map pass covers the rest.
+   * @param {string[]} uids
+   * @param {boolean} apply
+   * @param {(issue: object) => void} addIssue
    */
-  static async isUsernameTaken(username) {
-    try {
-      const { username: vUsername } = this.validateInputs({
-        username: {
-          value: username,
-          type: "string",
-          required: true,
-          trim: true,
-        },
-      });
+  static async reconcileUsernameMirrorBatch(uids, apply, addIssue) {
+    const mirrors =
+      this.redisResult(
+        await RedisClient.mget(...uids.map((uid) => this.keyUidToUsername(uid)))
+      ) || [];
+    const live = uids
+      .map((uid, i) => ({ uid, username: mirrors[i] }))
+      .filter((entry) => entry.username);
+    if (live.length === 0) return;
+    const owners =
+      this.redisResult(
+        await RedisClient.mget(
+          ...live.map((e) => this.keyUsernameToUid(e.username))
+        )
+      ) || [];
+    const { byUid } = await this.loadUsernameRows(
+      live.map((e) => e.uid),
+      []
+    );
 
-      if (!this.isUsernameFormatValid(vUsername)) return true; // invalid format treated as not available
-      console.log("hi");
-      const ownerUid = await RedisClient.get(this.keyUsernameToUid(vUsername));
-      console.log("ownerUid", ownerUid);
-      return !!ownerUid?.result;
-
-      // if (ownerUid.result === null) return false;
-    } catch (err) {
-      ErrorHandler.capture?.(err, { where: "Users.isUsernameTaken", username });
-      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    for (const [i, { uid, username }] of live.entries()) {
+      const owner = owners[i] || null;
+      if (owner === uid) continue;
+      if (!byUid.has(uid)) {
+        addIssue({
+          type: "orphaned_mirror",
+          uid,
+          username,
+          fixed: apply && (await this.releaseUsernameEntries(uid, username)),
+        });
+      } else if (!owner) {
+        addIssue({
+          type: "missing_map_entry",
+          uid,
+          username,
+          fixed: apply && (await this.linkUsernameEntries(uid, username)),
+        });
+      } else {
+        // Someone else owns the name in Redis; the mirror is left for manual review
+        addIssue({
+          type: "conflicting_owner",
+          uid,
+          username,
+          redisOwner: owner,
+          fixed: false,
+        });
+      }
     }
   }
 
   /**
-   * Claim or change username in Redis (authoritative), then persist durable copy in Postgres for rebuild.
-   * - Enforces format and uniqueness (atomic check).
-   * - Updates CUD and uid→username mirror.
-   * @param {string} uid
-   * @param {string} username
-   * @returns {Promise<{ success: boolean, previous?: string }>}
+   * Apply REDIS_SCRIPTS.RELEASE_USERNAME_ENTRIES for a uid/username pair.
+   * @returns {Promise<boolean>} true when something was removed
    */
-  static async setUsername(uid, username) {
-    // console.log("Setting username:", uid, username);
-    try {
-      const { uid: vUid, username: vUsernameRaw } = this.validateInputs({
-        uid: { value: uid, type: "string", required: true, trim: true },
-        username: {
-          value: username,
-          type: "string",
-          required: true,
-          trim: true,
-        },
-      });
+  static async releaseUsernameEntries(uid, username) {
+    const removed = this.redisResult(
+      await RedisClient.eval(
+        this.REDIS_SCRIPTS.RELEASE_USERNAME_ENTRIES,
+        this.usernameEntryKeys(uid, username),
+        [uid, username]
+      )
+    );
+    return Number(removed) > 0;
+  }
 
-      // console.log("Setting username: lower", vUid, vUsernameRaw);
+  /**
+   * Apply REDIS_SCRIPTS.LINK_USERNAME_ENTRIES for a uid/username pair.
+   * @returns {Promise<boolean>} true when the pair was linked
+   */
+  static async linkUsernameEntries(uid, username) {
+    const linked = this.redisResult(
+      await RedisClient.eval(
+        this.REDIS_SCRIPTS.LINK_USERNAME_ENTRIES,
+        this.usernameEntryKeys(uid, username),
+        [uid, username]
+      )
+    );
+    return Number(linked) === 1;
+  }
 
-      const vUsername = this.normalizeUsername(vUsernameRaw);
-      if (!this.isUsernameFormatValid(vUsername)) {
-        throw new Error("INVALID_USERNAME_FORMAT");
-      }
-      // console.log("Setting username: normalized", vUsername);
-
-      const mapKey = this.keyUsernameToUid(vUsername);
-      // console.log("Setting username: mapKey", mapKey);
-
-      // Atomic claim: if key exists and not owned by uid -> conflict
-      const existingOwner = await RedisClient.get(mapKey);
-      // console.log("Getting username: existingOwner", existingOwner);
-      if (existingOwner.result !== null) {
-        throw new Error("USERNAME_TAKEN");
-      }
-
-      // Fetch previous username (if any) from mirror
-      // const oldUsername =
-      await RedisClient.get(this.keyUidToUsername(vUid));
-      // console.log("Setting username: oldUsername", oldUsername);
-      // Set mappings
-      // const setMapKeyusernametouid =
-      await RedisClient.set(mapKey, vUid);
-      // console.log(
-      //   "Setting username: setMapKeyusernametouid",
-      //   setMapKeyusernametouid
-      // );
-      // const setUidToUsername =
-      await RedisClient.set(this.keyUidToUsername(vUid), vUsername);
-      // console.log("Setting username: setUidToUsername", setUidToUsername);
-      // Update durable copy
-
-      // const rows =
-      await db.query(
+  static usernameEntryKeys(uid, username) {
+    return [
+      this.keyUsernameToUid(username),
+      this.keyUidToUsername(uid),
+      this.keyUsernameSkeleton(username),
+      this.keyUsernameIndex(),
+    ];
+  }
+
+  /**
+   * Bring users.username_lower in line with Redis. A unique violation leaves it for the next run.
+   * @returns {Promise<boolean>}
+   */
+  static async persistReconciledUsername(uid, username) {
+    try {
+      const res = await db.query(
         "default",
-        "UPDATE users SET username_lower = $1, updated_at = NOW() WHERE uid = $2 RETURNING *",
-        [vUsername, vUid]
+        "UPDATE users SET username_lower = $1, updated_at = NOW() WHERE uid = $2 RETURNING uid",
+        [username, uid]
       );
-      // console.log("Updated rows:", rows.rows);
-
-      // Update CUD cache if exists
-      const cudKey = this.keyCriticalUserData(vUid);
-      const cud = await this.redisGetJson(cudKey);
-      if (cud) {
-        cud.username = vUsername;
-        await this.redisSetJson(
-          cudKey,
-          cud,
-          this.REDIS_TIMING_SECONDS.CRITICAL_USER_DATA_TTL
-        );
-      }
-
-      Logger.writeLog?.({
-        flag: this.LOGGER_FLAG_USERS,
-        action: "setUsername",
-        message: "Username claimed/updated",
-        data: { uid: vUid, username: vUsername, previous: oldUsername || null },
-      });
-
-      // If username changed, optionally free old map entry
-      if (oldUsername && oldUsername !== vUsername) {
-        const oldMapKey = this.keyUsernameToUid(oldUsername);
-        const currOwner = await RedisClient.get(oldMapKey);
-        if (currOwner === vUid) {
-          await RedisClient.del(oldMapKey);
-        }
-      }
-
-      return { success: true, previous: oldUsername || undefined };
+      return !!res?.rows?.[0];
     } catch (err) {
       ErrorHandler.capture?.(err, {
-        where: "Users.setUsername",
+        where: "Users.persistReconciledUsername",
         uid,
         username,
       });
-      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+      return false;
     }
   }
 
@@ -679,6 +5148,7 @@ export default class Users {
   /**
    * Update a single field in a durable table (PostgreSQL).
    * NOTE: Use this for timestamps or any other field (no separate timestamp setter).
+   * Only tables and columns listed in DURABLE_FIELD_DEPENDENTS are accepted (see assertDurableFieldWrite).
    * @param {string} uid
    * @param {string} tableName - e.g., 'users', 'user_profiles', 'user_settings'
    * @param {string} fieldKey  - column name
@@ -721,11 +5191,12 @@ export default class Users {
       //   fieldKey: vField,
       //   value: value,
       // });
+      this.assertDurableFieldWrite("UpdateUserField_FAILED", vTable, [vField]);
 
       // For timestamps, caller can pass value or use DateTime to generate now.
       const res = await db.query(
         "default",
-        `UPDATE ${vTable} SET ${vField} = $1, updated_at = NOW() WHERE uid = $2`,
+        `UPDATE ${vTable} SET ${vField} = $1, updated_at = NOW() WHERE uid = $2 RETURNING ${vField}`,
         [value, vUid]
       );
       // console.log("updateUserField result:", res);
@@ -738,6 +5209,11 @@ export default class Users {
       if (res.rowCount === 0) {
         throw new Error("UpdateUserField_FAILED:user not found");
       }
+      await this.refreshDurableDependents(
+        vUid,
+        vTable,
+        res.rows?.[0] ?? { [vField]: value }
+      );
 
       return { success: true };
     } catch (err) {
@@ -751,6 +5227,149 @@ export default class Users {
     }
   }
 
+  /**
+   * Update several fields of one durable row in a single statement.
+   * Only tables and columns listed in DURABLE_FIELD_DEPENDENTS are accepted; uid and username_lower are
+   * read-only (use setUsername). Cached views that depend on the columns are refreshed.
+   * @param {string} uid
+   * @param {string} tableName - e.g., 'users', 'user_profiles', 'user_settings'
+   * @param {object} fields    - { column: value }
+   * @returns {Promise<{success: boolean, dependents?: string[], error?: string}>}
+   */
+  static async updateUserFields(uid, tableName, fields) {
+    try {
+      const {
+        uid: vUid,
+        tableName: vTable,
+        fields: vFields,
+      } = this.validateInputs({
+        uid: { value: uid, type: "string", required: true, trim: true },
+        tableName: {
+          value: tableName,
+          type: "string",
+          required: true,
+          trim: true,
+          lowercase: true,
+        },
+        fields: { value: fields, type: "object", required: true },
+      });
+
+      const entries = Object.entries(vFields).map(([column, value]) => [
+        column.trim().toLowerCase(),
+        value,
+      ]);
+      const columns = entries.map(([column]) => column);
+      this.assertDurableFieldWrite("UpdateUserFields_FAILED", vTable, columns);
+
+      const assignments = columns.map((column, i) => `${column} = $${i + 1}`);
+      const res = await db.query(
+        "default",
+        `UPDATE ${vTable} SET ${assignments.join(", ")}, updated_at = NOW() WHERE uid = $${columns.length + 1} RETURNING ${columns.join(", ")}`,
+        [...entries.map(([, value]) => value), vUid]
+      );
+      if (res.rowCount === 0) {
+        throw new Error("UpdateUserFields_FAILED:user not found");
+      }
+      const dependents = await this.refreshDurableDependents(
+        vUid,
+        vTable,
+        res.rows?.[0] ?? Object.fromEntries(entries)
+      );
+
+      Logger.writeLog?.({
+        flag: this.LOGGER_FLAG_USERS,
+        action: "updateUserFields",
+        message: "Durable fields updated",
+        data: { uid: vUid, tableName: vTable, fields: columns, dependents },
+      });
+      return { success: true, dependents };
+    } catch (err) {
+      ErrorHandler.capture?.(err, {
+        where: "Users.updateUserFields",
+        uid,
+        tableName,
+        fields: fields && typeof fields === "object" ? Object.keys(fields) : [],
+      });
+      return { success: false, error: err.message || "UNKNOWN_ERROR" };
+    }
+  }
+
+  /**
+   * Guard for the generic durable writers. Table and column names are interpolated into the SQL,
+   * so both must be listed in DURABLE_FIELD_DEPENDENTS; READ_ONLY_USER_COLUMNS report their own reason.
+   * @param {string} errorPrefix - e.g. "UpdateUserField_FAILED"
+   * @param {string} tableName
+   * @param {string[]} columns
+   * @throws {Error} <errorPrefix>:unsupported table | no fields | invalid field key | read-only reason
+   */
+  static assertDurableFieldWrite(errorPrefix, tableName, columns) {
+    if (!Object.hasOwn(this.DURABLE_FIELD_DEPENDENTS, tableName)) {
+      throw new Error(`${errorPrefix}:unsupported table`);
+    }
+    if (columns.length === 0) {
+      throw new Error(`${errorPrefix}:no fields`);
+    }
+    const readOnly = columns.find((column) =>
+      Object.hasOwn(this.READ_ONLY_USER_COLUMNS, column)
+    );
+    if (readOnly) {
+      throw new Error(
+        `${errorPrefix}:${this.READ_ONLY_USER_COLUMNS[readOnly]}`
+      );
+    }
+    const allowed = this.DURABLE_FIELD_DEPENDENTS[tableName];
+    if (columns.some((column) => !Object.hasOwn(allowed, column))) {
+      throw new Error(`${errorPrefix}:invalid field key`);
+    }
+  }
+
+  /**
+   * Views that read any of `columns` of `tableName` (see DURABLE_FIELD_DEPENDENTS).
+   * @param {string} tableName
+   * @param {string[]} columns
+   * @returns {string[]}
+   */
+  static durableFieldDependents(tableName, columns) {
+    const table = this.DURABLE_FIELD_DEPENDENTS[tableName] || {};
+    return [...new Set(columns.flatMap((column) => table[column] || []))];
+  }
+
+  /**
+   * Bring cached views in line with a durable write. A cached CUD entry is patched in place with the
+   * written values (write-through, new refresh time); a missing one is left for the next read to hydrate.
+   * L1 copies are dropped on every node either way. Redis failures are captured, not thrown.
+   * @param {string} uid
+   * @param {string} tableName
+   * @param {object} row - written columns as stored ({ column: value })
+   * @returns {Promise<string[]>} Dependent views (see durableFieldDependents)
+   */
+  static async refreshDurableDependents(uid, tableName, row) {
+    const dependents = this.durableFieldDependents(tableName, Object.keys(row));
+    if (tableName !== "users" || !dependents.includes("cud")) return dependents;
+
+    const patch = {};
+    for (const [column, field] of Object.entries(this.CUD_SOURCE_COLUMNS)) {
+      if (column in row) patch[field] = row[column] ?? "";
+    }
+    try {
+      const cached = this.unpackCriticalUserData(
+        await RedisClient.get(this.keyCriticalUserData(uid))
+      );
+      if (cached) {
+        await this.writeCriticalUserData(uid, { ...cached.cud, ...patch });
+      }
+    } catch (err) {
+      // The Postgres write already succeeded; the entry ages out after CRITICAL_USER_DATA_TTL
+      ErrorHandler.capture?.(err, {
+        where: "Users.refreshDurableDependents",
+        uid,
+        tableName,
+      });
+    }
+    this.invalidateCriticalUserDataCache([uid]);
+    return dependents;
+  }
+
   /* ----------------------------------------
      UI JSON BUILDERS (COMPOSE REDIS + PG)
      ---------------------------------------- */
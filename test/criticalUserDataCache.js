@@ -0,0 +1,25 @@
+import Users from "../service/Users.js";
+
+export default async function testCriticalUserDataCache() {
+  // ⚡ In-process CUD cache (run with CUD_L1_CACHE=1)
+  await Users.startCriticalUserDataInvalidationListener();
+  Users.clearCriticalUserDataCache();
+
+  // Should work: the second read is served from memory
+  await Users.getCriticalUserData("u1");
+  await Users.getCriticalUserData("u1");
+  await Users.getCriticalUsersData(["u1", "u2"]);
+  console.log("stats", Users.getCriticalUserDataCacheStats());
+  // { hits: 2, misses: 2, ... }
+
+  // Should work: presence changes drop the cached entry (here and on other nodes)
+  await Users.setPresenceOverride("u1", "away");
+  await Users.getCriticalUserData("u1");
+  console.log("after override", Users.getCriticalUserDataCacheStats());
+
+  // Should fail (invalid UID is never cached)
+  const cud = await Users.getCriticalUserData("");
+  console.log(cud); // null
+}
+
+testCriticalUserDataCache();
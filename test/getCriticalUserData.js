@@ -7,6 +7,12 @@ export default async function testGetCriticalUserData() {
   console.log("cud", cud);
   // { username, displayName, avatar, online, status }
 
+  // Concurrent misses share one Postgres hydration
+  const cuds = await Promise.all(
+    Array.from({ length: 10 }, () => Users.getCriticalUserData("u2"))
+  );
+  console.log("concurrent", cuds.length, cuds[0]);
+
   // Should fail (invalid UID)
   const cud2 = await Users.getCriticalUserData("");
   console.log(cud2); // null
@@ -0,0 +1,38 @@
+import Users from "../service/Users.js";
+
+export default async function testGetDailyOnlineMinutes() {
+  // ⏱️ Presence session history
+  await Users.updatePresenceFromSocket("u1", "conn-a", { platform: "web" });
+  await Users.updatePresenceFromSocket("u1", "conn-b", { platform: "ios" });
+  await Users.removePresenceConnection("u1", "conn-b");
+
+  // Should work
+  console.log("result1", await Users.getPresenceSessions("u1"));
+  console.log(
+    "result2",
+    await Users.getDailyOnlineMinutes("u1", {
+      from: "2025-01-01",
+      to: "2025-01-07",
+      timeZone: "Asia/Tokyo",
+    })
+  );
+  console.log("result3", await Users.purgePresenceSessions());
+
+  // Should fail (range reversed / too long)
+  console.log(
+    "result4",
+    await Users.getDailyOnlineMinutes("u1", {
+      from: "2025-01-07",
+      to: "2025-01-01",
+    })
+  );
+  console.log(
+    "result5",
+    await Users.getPresenceSessions("u1", {
+      from: "2024-01-01",
+      to: "2025-01-01",
+    })
+  );
+}
+
+testGetDailyOnlineMinutes();
@@ -0,0 +1,19 @@
+import Users from "../service/Users.js";
+
+export default async function testGetLastSeen() {
+  // 🕒 Last seen
+  // Should work (Redis heartbeat, falls back to users.last_activity_at)
+  console.log(await Users.getLastSeen("u1"));
+
+  // Batch (order-preserving)
+  console.log("batch", await Users.getBatchLastSeen(["u2", "u1"]));
+
+  // Should be hidden while the override is "offline"
+  await Users.setPresenceOverride("u2", "offline");
+  console.log(await Users.getLastSeen("u2"));
+
+  // Should fail
+  console.log(await Users.getLastSeen(""));
+}
+
+testGetLastSeen();
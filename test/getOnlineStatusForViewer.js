@@ -0,0 +1,30 @@
+import Users from "../service/Users.js";
+
+export default async function testGetOnlineStatusForViewer() {
+  // 👀 Presence visibility: everyone / contacts / nobody
+  await Users.updatePresenceFromSocket("u1", "conn-a");
+
+  // Should work
+  console.log("result1", await Users.setPresenceVisibility("u1", "contacts"));
+  console.log("result2", await Users.addPresenceContacts("u1", ["u2"]));
+  console.log("contact", await Users.getOnlineStatusForViewer("u2", "u1"));
+  console.log("stranger", await Users.getOnlineStatusForViewer("u3", "u1"));
+  console.log(
+    "batch",
+    await Users.getBatchOnlineStatusForViewer("u3", ["u1", "u2"], {
+      hiddenStatus: "unknown",
+    })
+  );
+
+  await Users.setPresenceVisibility("u1", "nobody");
+  console.log("self", await Users.getOnlineStatusForViewer("u1", "u1"));
+
+  // Should fail (unknown visibility level)
+  console.log("result3", await Users.setPresenceVisibility("u1", "friends"));
+
+  // Reset
+  await Users.removePresenceContacts("u1", ["u2"]);
+  await Users.setPresenceVisibility("u1", "everyone");
+}
+
+testGetOnlineStatusForViewer();
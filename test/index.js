@@ -12,6 +12,26 @@ import testBuildUserProfile from "./buildUserProfile.js";
 import testGetCriticalUsersData from "./getCriticalUsersData.js";
 import testGetBatchOnlineStatus from "./getBatchOnlineStatus.js";
 import testRedisConnection from "./redisTest.js";
+import testRemovePresenceConnection from "./removePresenceConnection.js";
+import testPresenceEvents from "./presenceEvents.js";
+import testGetLastSeen from "./getLastSeen.js";
+import testSetPresenceOverrideTimed from "./setPresenceOverrideTimed.js";
+import testSetCustomStatus from "./setCustomStatus.js";
+import testRecordUserActivity from "./recordUserActivity.js";
+import testGetOnlineStatusForViewer from "./getOnlineStatusForViewer.js";
+import testUpdatePresenceFromSocketBatch from "./updatePresenceFromSocketBatch.js";
+import testGetDailyOnlineMinutes from "./getDailyOnlineMinutes.js";
+import testPresencePlatforms from "./presencePlatforms.js";
+import testPresenceSchedule from "./presenceSchedule.js";
+import testSuggestUsernames from "./suggestUsernames.js";
+import testResolveUsername from "./resolveUsername.js";
+import testUsernameChangeLimits from "./usernameChangeLimits.js";
+import testUnicodeUsernames from "./unicodeUsernames.js";
+import testSearchUsernamesByPrefix from "./searchUsernamesByPrefix.js";
+import testCriticalUserDataCache from "./criticalUserDataCache.js";
+import testUpdateUserFields from "./updateUserFields.js";
+import testReconcileUsernames from "./reconcileUsernames.js";
+import testRebuildRedisState from "./rebuildRedisState.js";
 export {
   setUserNameTest,
   testGetCriticalUserData,
@@ -27,6 +47,26 @@ export {
   testGetCriticalUsersData,
   testGetBatchOnlineStatus,
   testRedisConnection,
+  testRemovePresenceConnection,
+  testPresenceEvents,
+  testGetLastSeen,
+  testSetPresenceOverrideTimed,
+  testSetCustomStatus,
+  testRecordUserActivity,
+  testGetOnlineStatusForViewer,
+  testUpdatePresenceFromSocketBatch,
+  testGetDailyOnlineMinutes,
+  testPresencePlatforms,
+  testPresenceSchedule,
+  testSuggestUsernames,
+  testResolveUsername,
+  testUsernameChangeLimits,
+  testUnicodeUsernames,
+  testSearchUsernamesByPrefix,
+  testCriticalUserDataCache,
+  testUpdateUserFields,
+  testReconcileUsernames,
+  testRebuildRedisState,
 };
 
 // testPass
@@ -4,5 +4,34 @@ export default async function testIsUsernameTaken() {
   const result = await Users.isUsernameTaken("delish");
 
   console.log("result", result);
+
+  // Released names stay held for their previous owner
+  await Users.setUsername("u20", "held_name");
+  await Users.setUsername("u20", "new_name");
+  console.log(
+    "held",
+    await Users.isUsernameTaken("held_name", { detailed: true })
+  );
+  console.log(
+    "heldForOwner",
+    await Users.isUsernameTaken("held_name", { uid: "u20", detailed: true })
+  );
+  // The previous owner can take it back during the hold
+  console.log("takeBack", await Users.setUsername("u20", "held_name"));
+
+  // Should fail: reserved, denylisted and lookalike names
+  console.log(
+    "reserved",
+    await Users.isUsernameTaken("adm1n", { detailed: true })
+  );
+  console.log(
+    "blocked",
+    await Users.isUsernameTaken("sh1t_lord", { detailed: true })
+  );
+  console.log(
+    "confusable",
+    await Users.isUsernameTaken("he1d.name", { detailed: true })
+  );
+  console.log("setConfusable", await Users.setUsername("u21", "he1d.name"));
 }
 testIsUsernameTaken();
@@ -0,0 +1,29 @@
+import Users from "../service/Users.js";
+import { RedisClient } from "../utils/index.js";
+
+export default async function testPresenceEvents() {
+  // 📣 In-process listener
+  const unsubscribe = Users.onPresenceChange((event) =>
+    console.log("event", event)
+  );
+
+  // Cross-process subscribers (production/stage only)
+  await RedisClient.subscribe(Users.PRESENCE_EVENTS_CHANNEL, (message) =>
+    console.log("published", message)
+  );
+
+  // Should emit offline → online once, not on the second heartbeat
+  await Users.updatePresenceFromSocket("u1", "conn-xyz");
+  await Users.updatePresenceFromSocket("u1", "conn-xyz");
+
+  // Should emit online → away
+  await Users.setPresenceOverride("u1", "away");
+  await Users.setPresenceOverride("u1", "real");
+
+  // Should emit online → offline
+  await Users.removePresenceConnection("u1", "conn-xyz");
+
+  unsubscribe();
+}
+
+testPresenceEvents();
@@ -0,0 +1,31 @@
+import Users from "../service/Users.js";
+
+export default async function testPresencePlatforms() {
+  // 📱 Per-platform presence
+  // Should work (aliases like "ios" fold onto "mobile")
+  console.log(
+    "result1",
+    await Users.updatePresenceFromSocket("u1", "conn-web", { platform: "web" })
+  );
+  console.log(
+    "result2",
+    await Users.updatePresenceFromSocket("u1", "conn-phone", {
+      platform: "ios",
+    })
+  );
+  console.log("status", await Users.getOnlineStatus("u1"));
+
+  // Closing the web tab leaves the user online on mobile only
+  await Users.removePresenceConnection("u1", "conn-web");
+  console.log("mobileOnly", await Users.getBatchOnlineStatus(["u1"]));
+
+  // Should fail (unknown platform)
+  console.log(
+    "result3",
+    await Users.updatePresenceFromSocket("u1", "conn-x", { platform: "fridge" })
+  );
+
+  await Users.removePresenceConnection("u1", "conn-phone");
+}
+
+testPresencePlatforms();
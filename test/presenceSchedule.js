@@ -0,0 +1,58 @@
+import Users from "../service/Users.js";
+
+export default async function testPresenceSchedule() {
+  // 🗓️ Working hours drive automatic away
+  // Should work
+  console.log(
+    "result1",
+    await Users.setPresenceSchedule("u1", {
+      timeZone: "Asia/Tokyo",
+      outside: "away",
+      ranges: [
+        {
+          days: ["monday", "tuesday", "wednesday", "thursday", "friday"],
+          start: "09:00",
+          end: "18:00",
+        },
+      ],
+    })
+  );
+  await Users.updatePresenceFromSocket("u1", "conn-a");
+  console.log("status", await Users.getOnlineStatus("u1"));
+  console.log("next", await Users.getNextAvailability("u1"));
+
+  // A manual override still wins over the schedule
+  await Users.setPresenceOverride("u1", "dnd", { expires: "2h" });
+  console.log("override", await Users.getNextAvailability("u1"));
+  await Users.setPresenceOverride("u1", "real");
+
+  // Invisible reads as no override to others; only the user sees it block
+  await Users.setPresenceOverride("u1", "invisible");
+  console.log("invisible", await Users.getNextAvailability("u1"));
+  console.log(
+    "invisible (self)",
+    await Users.getNextAvailability("u1", { viewerUid: "u1" })
+  );
+  await Users.setPresenceOverride("u1", "real");
+
+  // Should fail (unknown weekday / bad time zone)
+  console.log(
+    "result2",
+    await Users.setPresenceSchedule("u1", {
+      timeZone: "Asia/Tokyo",
+      ranges: [{ days: ["funday"], start: "09:00", end: "18:00" }],
+    })
+  );
+  console.log(
+    "result3",
+    await Users.setPresenceSchedule("u1", {
+      timeZone: "Nowhere/Town",
+      ranges: [{ days: ["monday"], start: "09:00", end: "18:00" }],
+    })
+  );
+
+  // Clear
+  console.log("result4", await Users.setPresenceSchedule("u1", null));
+}
+
+testPresenceSchedule();
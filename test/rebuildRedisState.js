@@ -0,0 +1,25 @@
+import Users from "../service/Users.js";
+
+export default async function testRebuildRedisState() {
+  // Should work (restores only what Redis is missing: usernames, holds, rename counters, presence, CUD)
+  const report = await Users.rebuildRedisState({
+    restart: true,
+    batchSize: 50,
+    onProgress: (progress) => console.log("progress", progress),
+  });
+  console.log("report", report);
+  // { success: true, usernamesRestored, holdsRestored, usernameChangesRestored, ..., conflicts }
+
+  // Should work (a second run has nothing left to restore)
+  const again = await Users.rebuildRedisState({ restart: true });
+  console.log(
+    "nothing restored",
+    again.usernamesRestored === 0 &&
+      again.holdsRestored === 0 &&
+      again.usernameChangesRestored === 0
+  );
+
+  // Should fail (batchSize must be an int)
+  console.log(await Users.rebuildRedisState({ batchSize: "lots" }));
+}
+testRebuildRedisState();
@@ -0,0 +1,16 @@
+import Users from "../service/Users.js";
+
+export default async function testReconcileUsernames() {
+  // Should work (dry run: reports drift, changes nothing)
+  const report = await Users.reconcileUsernames({
+    batchSize: 50,
+    onProgress: (progress) => console.log("progress", progress),
+  });
+  console.log("report", report);
+  // { success: true, dryRun: true, mapEntries, mirrors, issueCount, fixed: 0, counts, issues }
+
+  // Should work (a second dry run finds the same issues)
+  const again = await Users.reconcileUsernames();
+  console.log("same issues", again.issueCount === report.issueCount);
+}
+testReconcileUsernames();
@@ -0,0 +1,21 @@
+import Users from "../service/Users.js";
+
+export default async function testRecordUserActivity() {
+  // 💤 Idle → automatic away
+  // Heartbeat that carries user activity
+  console.log(
+    "result1",
+    await Users.updatePresenceFromSocket("u1", "conn-xyz", { activity: true })
+  );
+
+  // Standalone activity signal (clears auto-away immediately)
+  console.log("result2", await Users.recordUserActivity("u1"));
+
+  // awaySource: "auto" once idle for PRESENCE_IDLE_AWAY_SECONDS, "manual" for an explicit override
+  console.log("status", await Users.getOnlineStatus("u1"));
+
+  // Should fail
+  console.log("result3", await Users.recordUserActivity(""));
+}
+
+testRecordUserActivity();
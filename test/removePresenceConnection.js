@@ -0,0 +1,26 @@
+import Users from "../service/Users.js";
+
+export default async function testRemovePresenceConnection() {
+  // 🔌 Two tabs open, one closes
+  await Users.updatePresenceFromSocket("u1", "conn-tab-1");
+  await Users.updatePresenceFromSocket("u1", "conn-tab-2");
+
+  // Should stay online (one connection left)
+  console.log(
+    "result1",
+    await Users.removePresenceConnection("u1", "conn-tab-1")
+  );
+  console.log("status1", await Users.getOnlineStatus("u1"));
+
+  // Should go offline (last connection removed)
+  console.log(
+    "result2",
+    await Users.removePresenceConnection("u1", "conn-tab-2")
+  );
+  console.log("status2", await Users.getOnlineStatus("u1"));
+
+  // Should fail
+  console.log("result3", await Users.removePresenceConnection("", ""));
+}
+
+testRemovePresenceConnection();
@@ -0,0 +1,16 @@
+import Users from "../service/Users.js";
+
+export default async function testResolveUsername() {
+  await Users.setUsername("u40", "old_handle");
+  await Users.setUsername("u40", "new_handle");
+
+  // Should work
+  console.log("current", await Users.resolveUsername("new_handle"));
+  // Old handle redirects to the current username
+  console.log("redirect", await Users.resolveUsername("old_handle"));
+
+  // Should fail
+  console.log("unknown", await Users.resolveUsername("never_used_name"));
+  console.log("invalid", await Users.resolveUsername(""));
+}
+testResolveUsername();
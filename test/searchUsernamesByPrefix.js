@@ -0,0 +1,17 @@
+import Users from "../service/Users.js";
+
+export default async function testSearchUsernamesByPrefix() {
+  await Users.setUsername("u70", "mention_anna");
+  await Users.setUsername("u71", "mention_ben");
+
+  // Should work
+  console.log("result1", await Users.searchUsernamesByPrefix("mention_"));
+  console.log("result2", await Users.searchUsernamesByPrefix("Mention_A", 5));
+
+  // Should return no results
+  console.log("result3", await Users.searchUsernamesByPrefix("no such"));
+
+  // Should fail
+  console.log("result4", await Users.searchUsernamesByPrefix(""));
+}
+testSearchUsernamesByPrefix();
@@ -0,0 +1,32 @@
+import Users from "../service/Users.js";
+
+export default async function testSetCustomStatus() {
+  // 💬 Custom status + extended presence modes
+  // Should work
+  console.log(
+    "result1",
+    await Users.setCustomStatus("u1", { text: "In a meeting", emoji: "📅" })
+  );
+  console.log("result2", await Users.setPresenceOverride("u1", "dnd"));
+  console.log("status", await Users.getOnlineStatus("u1"));
+  // ZWJ sequences are stored whole
+  console.log(
+    "result2b",
+    await Users.setCustomStatus("u1", { text: "Coding", emoji: "👩‍💻" })
+  );
+
+  // Invisible: offline to others, online to the user's own sessions
+  await Users.setPresenceOverride("u1", "invisible");
+  console.log("others", await Users.getOnlineStatus("u1"));
+  console.log("self", await Users.getOnlineStatus("u1", { viewerUid: "u1" }));
+
+  // Should fail (not an emoji / unknown mode)
+  console.log("result3", await Users.setCustomStatus("u1", { emoji: "abc" }));
+  console.log("result4", await Users.setPresenceOverride("u1", "weirdmode"));
+
+  // Clear
+  console.log("result5", await Users.setCustomStatus("u1", {}));
+  await Users.setPresenceOverride("u1", "real");
+}
+
+testSetCustomStatus();
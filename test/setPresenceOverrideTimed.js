@@ -0,0 +1,32 @@
+import Users from "../service/Users.js";
+
+export default async function testSetPresenceOverrideTimed() {
+  // ⏳ Timed Presence Override
+  // Should work (duration)
+  console.log(
+    "result1",
+    await Users.setPresenceOverride("u1", "away", { expires: "30m" })
+  );
+  // getOnlineStatus reports overrideExpiresAt for "Away until ..."
+  console.log("status", await Users.getOnlineStatus("u1"));
+
+  // Should work (absolute time, read in the given timezone)
+  console.log(
+    "result2",
+    await Users.setPresenceOverride("u1", "away", {
+      expires: "2030-01-01 15:30:00",
+      timeZone: "Asia/Hong_Kong",
+    })
+  );
+
+  // Should fail (expiry in the past / unparseable)
+  console.log(
+    "result3",
+    await Users.setPresenceOverride("u1", "away", { expires: "yesterday" })
+  );
+
+  // Durable sweep (cron fallback when keyspace notifications are off)
+  console.log("sweep", await Users.expirePresenceOverrides());
+}
+
+testSetPresenceOverrideTimed();
@@ -18,6 +18,17 @@ export default async function setUserNameTest() {
 
   const res3 = await Users.setUsername("u3", "alice4224");
   console.log(res3); // { success: false, previous: null }
+
+  // Should fail with a specific code
+  const res4 = await Users.setUsername("u3", "a!");
+  console.log(res4); // { success: false, error: 'INVALID_USERNAME_FORMAT' }
+
+  // Two concurrent claims: exactly one wins, the other gets USERNAME_TAKEN
+  const [res5, res6] = await Promise.all([
+    Users.setUsername("u4", "raced_name"),
+    Users.setUsername("u5", "raced_name"),
+  ]);
+  console.log(res5, res6);
 }
 
 setUserNameTest();
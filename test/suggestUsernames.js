@@ -0,0 +1,26 @@
+import Users from "../service/Users.js";
+
+export default async function testSuggestUsernames() {
+  await Users.setUsername("u30", "maria");
+
+  // Should work
+  console.log(
+    "result1",
+    await Users.suggestUsernames("maria", { displayName: "Maria Lopez" })
+  );
+  console.log(
+    "result2",
+    await Users.suggestUsernames("maria", { uid: "u30", count: 10 })
+  );
+  // Long names are truncated to USERNAME_POLICY.MAX_LEN
+  console.log(
+    "result3",
+    await Users.suggestUsernames("maria_from_the_marketing_department", {
+      count: 3,
+    })
+  );
+
+  // Should fail
+  console.log("result4", await Users.suggestUsernames(""));
+}
+testSuggestUsernames();
@@ -0,0 +1,25 @@
+import Users from "../service/Users.js";
+
+// Run with USERNAME_UNICODE=1
+export default async function testUnicodeUsernames() {
+  // Should work
+  console.log("result1", await Users.setUsername("u60", "José"));
+  // Same name after NFKC + case folding (decomposed é, fullwidth letters)
+  console.log(
+    "result2",
+    await Users.isUsernameTaken("JOSÉ", { detailed: true })
+  );
+  console.log("result3", await Users.setUsername("u61", "山田たろう"));
+
+  // Should fail: Latin mixed with Cyrillic lookalikes
+  console.log("result4", await Users.setUsername("u62", "pаypаl"));
+  // Should fail: invisible grapheme joiner, combining overlay
+  console.log("result5", await Users.setUsername("u63", "alice\u034F"));
+  console.log("result6", await Users.setUsername("u63", "a\u0336lice"));
+  // Should fail: accented lookalike of a taken name
+  console.log(
+    "result7",
+    await Users.isUsernameTaken("jose", { uid: "u63", detailed: true })
+  );
+}
+testUnicodeUsernames();
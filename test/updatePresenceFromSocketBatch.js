@@ -0,0 +1,29 @@
+import Users from "../service/Users.js";
+
+export default async function testUpdatePresenceFromSocketBatch() {
+  // 📦 One heartbeat tick for many sockets
+  // Should work (u1 has two tabs open)
+  console.log(
+    "result1",
+    await Users.updatePresenceFromSocketBatch([
+      { uid: "u1", connId: "conn-a" },
+      { uid: "u1", connId: "conn-b", activity: true },
+      { uid: "u2", connId: "conn-c" },
+    ])
+  );
+  console.log("status", await Users.getBatchOnlineStatus(["u1", "u2"]));
+
+  // Should fail per item (missing connId), the rest still succeed
+  console.log(
+    "result2",
+    await Users.updatePresenceFromSocketBatch([
+      { uid: "u1", connId: "conn-a" },
+      { uid: "u3" },
+    ])
+  );
+
+  // Should fail (empty batch)
+  console.log("result3", await Users.updatePresenceFromSocketBatch([]));
+}
+
+testUpdatePresenceFromSocketBatch();
@@ -18,5 +18,14 @@ export default async function testUpdateUserField() {
   );
 
   console.log("result", result2);
+
+  // Should fail (table and column names are allowlisted, not interpolated as given)
+  console.log(
+    await Users.updateUserField("u1", "users; --", "display_name", "x")
+  );
+  console.log(
+    await Users.updateUserField("u1", "users", "role = 'admin' --", "x")
+  );
+  console.log(await Users.updateUserField("u1", "users", "uid", "u2"));
 }
 testUpdateUserField();
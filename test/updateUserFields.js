@@ -0,0 +1,38 @@
+import Users from "../service/Users.js";
+
+export default async function testUpdateUserFields() {
+  // Should work: CUD picks up the new display name and avatar straight away
+  const result = await Users.updateUserFields("u1", "users", {
+    display_name: "Oliver Twist",
+    avatar_url: "https://example.com/a.png",
+  });
+  console.log("result", result);
+  // { success: true, dependents: ["cud", "buildUserData", "buildUserProfile"] }
+  console.log("cud", await Users.getCriticalUserData("u1"));
+
+  // Should work: profile-only columns leave CUD alone
+  const result2 = await Users.updateUserFields("u1", "user_profiles", {
+    country: "AU",
+    bio: "hello",
+  });
+  console.log("result", result2);
+
+  // Should fail (unknown user, bad column, read-only column, unknown table)
+  console.log(
+    await Users.updateUserFields("u200", "users", { display_name: "x" })
+  );
+  console.log(await Users.updateUserFields("u1", "users", { "name; --": "x" }));
+  console.log(
+    await Users.updateUserFields("u1", "users", { username_lower: "x" })
+  ); // use setUsername
+  console.log(
+    await Users.updateUserFields("u1", "user_settings", {
+      presence_visibility: "nobody",
+    })
+  ); // use setPresenceVisibility
+  console.log(
+    await Users.updateUserFields("u1", "users; --", { display_name: "x" })
+  );
+}
+
+testUpdateUserFields();
@@ -0,0 +1,28 @@
+import Users from "../service/Users.js";
+
+export default async function testUsernameChangeLimits() {
+  // Should work: first claim and first rename
+  console.log("claim", await Users.setUsername("u50", "limit_one"));
+  console.log("rename", await Users.setUsername("u50", "limit_two"));
+
+  // Should fail: second rename inside the cooldown (carries retryAfter)
+  console.log("cooldown", await Users.setUsername("u50", "limit_three"));
+
+  // Should fail: concurrent renames share no slot (all USERNAME_CHANGE_COOLDOWN)
+  const racing = await Promise.all(
+    ["limit_a", "limit_b", "limit_c"].map((name) =>
+      Users.setUsername("u50", name)
+    )
+  );
+  console.log(
+    "concurrent",
+    racing.map((r) => r.error)
+  );
+
+  // Should work: admins bypass the limits
+  console.log(
+    "admin",
+    await Users.setUsername("u50", "limit_three", { bypassLimits: true })
+  );
+}
+testUsernameChangeLimits();
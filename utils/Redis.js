@@ -108,6 +108,7 @@ async function RedisHttpProxy(redisCommand) {
 
 // Static Redis client instance
 let staticClient = null;
+let subscriberClient = null;
 let isConnected = false;
 
 // Main Redis Class
@@ -237,6 +238,10 @@ class RedisClass {
         (RedisClass.getEnvironment() === "production" ||
           RedisClass.getEnvironment() === "stage")
       ) {
+        if (subscriberClient) {
+          await subscriberClient.quit();
+          subscriberClient = null;
+        }
         await staticClient.quit();
       }
       isConnected = false;
@@ -684,6 +689,595 @@ class RedisClass {
       });
     }
   }
+
+  /**
+   * Add a member to a sorted set (or update its score)
+   * @param {string} key - Redis key
+   * @param {number} score - Member score
+   * @param {string} member - Member value
+   * @returns {Promise<number>}
+   */
+  static async zadd(key, score, member) {
+    try {
+      Logger.writeLog("Adding sorted set member", { key, score, member });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.zAdd(key, { score, value: String(member) });
+      } else {
+        Logger.writeLog("Redis ZADD via proxy", { key, score, member });
+        const command = addEnvCommandPrefix(
+          `zadd(#${key}, ${score}, '${member}')`
+        );
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to add member to ${key}`, error, {
+        key,
+        member,
+      });
+      throw ErrorHandler.add_error(`Failed to add member to ${key}`, error, {
+        key,
+        member,
+      });
+    }
+  }
+
+  /**
+   * Remove members from a sorted set
+   * @param {string} key - Redis key
+   * @param {...string} members - Members to remove
+   * @returns {Promise<number>}
+   */
+  static async zrem(key, ...members) {
+    try {
+      Logger.writeLog("Removing sorted set members", { key, members });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.zRem(key, members.map(String));
+      } else {
+        Logger.writeLog("Redis ZREM via proxy", { key, members });
+        const memberArgs = members.map((m) => `'${m}'`).join(", ");
+        const command = addEnvCommandPrefix(`zrem(#${key}, ${memberArgs})`);
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to remove members from ${key}`, error, {
+        key,
+        members,
+      });
+      throw ErrorHandler.add_error(
+        `Failed to remove members from ${key}`,
+        error,
+        { key, members }
+      );
+    }
+  }
+
+  /**
+   * Remove sorted set members whose score falls within [min, max]
+   * @param {string} key - Redis key
+   * @param {number|string} min - Minimum score (e.g. "-inf")
+   * @param {number|string} max - Maximum score (e.g. "+inf")
+   * @returns {Promise<number>}
+   */
+  static async zremrangebyscore(key, min, max) {
+    try {
+      Logger.writeLog("Removing sorted set range by score", { key, min, max });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.zRemRangeByScore(key, min, max);
+      } else {
+        Logger.writeLog("Redis ZREMRANGEBYSCORE via proxy", { key, min, max });
+        const command = addEnvCommandPrefix(
+          `zremrangebyscore(#${key}, ${min}, ${max})`
+        );
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to remove score range from ${key}`, error, {
+        key,
+        min,
+        max,
+      });
+      throw ErrorHandler.add_error(
+        `Failed to remove score range from ${key}`,
+        error,
+        { key, min, max }
+      );
+    }
+  }
+
+  /**
+   * Count members of a sorted set
+   * @param {string} key - Redis key
+   * @returns {Promise<number>}
+   */
+  static async zcard(key) {
+    try {
+      Logger.writeLog("Counting sorted set members", { key });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.zCard(key);
+      } else {
+        Logger.writeLog("Redis ZCARD via proxy", { key });
+        const command = addEnvCommandPrefix(`zcard(#${key})`);
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to count members of ${key}`, error, { key });
+      throw ErrorHandler.add_error(`Failed to count members of ${key}`, error, {
+        key,
+      });
+    }
+  }
+
+  /**
+   * Get a range of sorted set members by rank
+   * @param {string} key - Redis key
+   * @param {number} start - Start rank
+   * @param {number} stop - Stop rank (inclusive, -1 for last)
+   * @param {Object} options - { rev: boolean, withScores: boolean }
+   * @returns {Promise<Array>}
+   */
+  static async zrange(key, start, stop, options = {}) {
+    try {
+      Logger.writeLog("Getting sorted set range", { key, start, stop });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        const rangeOptions = options.rev ? { REV: true } : undefined;
+        if (options.withScores) {
+          return await staticClient.zRangeWithScores(
+            key,
+            start,
+            stop,
+            rangeOptions
+          );
+        }
+        return await staticClient.zRange(key, start, stop, rangeOptions);
+      } else {
+        Logger.writeLog("Redis ZRANGE via proxy", { key, start, stop });
+        const flags = [
+          options.rev ? "REV" : null,
+          options.withScores ? "WITHSCORES" : null,
+        ].filter(Boolean);
+        const command = addEnvCommandPrefix(
+          `zrange(${[`#${key}`, start, stop, ...flags].join(", ")})`
+        );
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to get range of ${key}`, error, { key });
+      throw ErrorHandler.add_error(`Failed to get range of ${key}`, error, {
+        key,
+      });
+    }
+  }
+
+  /**
+   * Get sorted set members in lexicographical range (all members should share one score)
+   * @param {string} key - Redis key
+   * @param {string} min - Lex bound, e.g. "[abc" (inclusive), "(abc" (exclusive) or "-"
+   * @param {string} max - Lex bound, e.g. "[abc\u{10FFFF}" or "+"
+   * @param {Object} options - { offset: number, count: number }
+   * @returns {Promise<string[]>}
+   */
+  static async zrangebylex(key, min, max, options = {}) {
+    try {
+      Logger.writeLog("Getting sorted set range by lex", { key, min, max });
+
+      const { offset = 0, count } = options;
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.zRange(key, min, max, {
+          BY: "LEX",
+          ...(count ? { LIMIT: { offset, count } } : {}),
+        });
+      } else {
+        Logger.writeLog("Redis ZRANGEBYLEX via proxy", { key, min, max });
+        const limit = count ? [`'LIMIT'`, offset, count] : [];
+        const command = addEnvCommandPrefix(
+          `zrangebylex(${[`#${key}`, `'${min}'`, `'${max}'`, ...limit].join(
+            ", "
+          )})`
+        );
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to get lex range of ${key}`, error, { key });
+      throw ErrorHandler.add_error(`Failed to get lex range of ${key}`, error, {
+        key,
+      });
+    }
+  }
+
+  /**
+   * Add members to a set
+   * @param {string} key - Redis key
+   * @param {...string} members - Members to add
+   * @returns {Promise<number>} Number of members that were new
+   */
+  static async sadd(key, ...members) {
+    try {
+      Logger.writeLog("Adding set members", { key, members });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.sAdd(key, members.map(String));
+      } else {
+        Logger.writeLog("Redis SADD via proxy", { key, members });
+        const memberArgs = members.map((m) => `'${m}'`).join(", ");
+        const command = addEnvCommandPrefix(`sadd(#${key}, ${memberArgs})`);
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to add set members to ${key}`, error, {
+        key,
+        members,
+      });
+      throw ErrorHandler.add_error(
+        `Failed to add set members to ${key}`,
+        error,
+        { key, members }
+      );
+    }
+  }
+
+  /**
+   * Remove members from a set
+   * @param {string} key - Redis key
+   * @param {...string} members - Members to remove
+   * @returns {Promise<number>}
+   */
+  static async srem(key, ...members) {
+    try {
+      Logger.writeLog("Removing set members", { key, members });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.sRem(key, members.map(String));
+      } else {
+        Logger.writeLog("Redis SREM via proxy", { key, members });
+        const memberArgs = members.map((m) => `'${m}'`).join(", ");
+        const command = addEnvCommandPrefix(`srem(#${key}, ${memberArgs})`);
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to remove set members from ${key}`, error, {
+        key,
+        members,
+      });
+      throw ErrorHandler.add_error(
+        `Failed to remove set members from ${key}`,
+        error,
+        { key, members }
+      );
+    }
+  }
+
+  /**
+   * Check set membership
+   * @param {string} key - Redis key
+   * @param {string} member - Member to look for
+   * @returns {Promise<boolean>}
+   */
+  static async sismember(key, member) {
+    try {
+      Logger.writeLog("Checking set membership", { key, member });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return Number(await staticClient.sIsMember(key, String(member))) === 1;
+      } else {
+        Logger.writeLog("Redis SISMEMBER via proxy", { key, member });
+        const command = addEnvCommandPrefix(`sismember(#${key}, '${member}')`);
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to check membership in ${key}`, error, {
+        key,
+        member,
+      });
+      throw ErrorHandler.add_error(
+        `Failed to check membership in ${key}`,
+        error,
+        { key, member }
+      );
+    }
+  }
+
+  /**
+   * Run several write/count commands in one round trip (pipelined, not transactional)
+   * Supported: set (with { expiry }), del, expire, zadd, zremrangebyscore, zcard, sadd, sismember
+   * @param {Array<Array>} commands - e.g. [["set", key, value, { expiry: 60 }], ["zcard", key]]
+   * @returns {Promise<Array>} Replies in command order
+   */
+  static async pipeline(commands) {
+    try {
+      Logger.writeLog("Running Redis pipeline", {
+        commandCount: commands.length,
+      });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        const batch = staticClient.multi();
+        for (const [name, key, ...args] of commands) {
+          switch (name) {
+            case "set": {
+              const [value, options = {}] = args;
+              const stringValue =
+                typeof value === "object" ? JSON.stringify(value) : value;
+              if (options.expiry) {
+                batch.setEx(key, options.expiry, String(stringValue));
+              } else {
+                batch.set(key, String(stringValue));
+              }
+              break;
+            }
+            case "del":
+              batch.del(key);
+              break;
+            case "expire":
+              batch.expire(key, args[0]);
+              break;
+            case "zadd":
+              batch.zAdd(key, { score: args[0], value: String(args[1]) });
+              break;
+            case "zremrangebyscore":
+              batch.zRemRangeByScore(key, args[0], args[1]);
+              break;
+            case "zcard":
+              batch.zCard(key);
+              break;
+            case "sadd":
+              batch.sAdd(key, args.map(String));
+              break;
+            case "sismember":
+              batch.sIsMember(key, String(args[0]));
+              break;
+            default:
+              throw ErrorHandler.add_error(
+                `Unsupported pipeline command ${name}`
+              );
+          }
+        }
+        return await batch.execAsPipeline();
+      } else {
+        // The proxy has no batch endpoint; replay the commands one by one
+        Logger.writeLog("Redis pipeline via proxy", {
+          commandCount: commands.length,
+        });
+        const replies = [];
+        for (const [name, ...args] of commands) {
+          if (
+            ![
+              "set",
+              "del",
+              "expire",
+              "zadd",
+              "zremrangebyscore",
+              "zcard",
+              "sadd",
+              "sismember",
+            ].includes(name)
+          ) {
+            throw ErrorHandler.add_error(
+              `Unsupported pipeline command ${name}`
+            );
+          }
+          replies.push(await RedisClass[name](...args));
+        }
+        return replies;
+      }
+    } catch (error) {
+      Logger.writeLog("Failed to run pipeline", error, {
+        commandCount: commands.length,
+      });
+      throw ErrorHandler.add_error("Failed to run pipeline", error, {
+        commandCount: commands.length,
+      });
+    }
+  }
+
+  /**
+   * Run a Lua script atomically on the server
+   * Keys are declared separately so they get the environment prefix via the proxy
+   * @param {string} script - Lua source (avoid "#" and single quotes; the proxy DSL uses both)
+   * @param {string[]} keys - KEYS[1..n]
+   * @param {Array<string|number>} args - ARGV[1..n]
+   * @returns {Promise<any>}
+   */
+  static async eval(script, keys = [], args = []) {
+    try {
+      Logger.writeLog("Evaluating Redis script", {
+        keys,
+        argCount: args.length,
+      });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.eval(script, {
+          keys,
+          arguments: args.map(String),
+        });
+      } else {
+        Logger.writeLog("Redis EVAL via proxy", { keys });
+        const command = addEnvCommandPrefix(
+          `eval('${script}', ${keys.length}, ${[
+            ...keys.map((key) => `#${key}`),
+            ...args.map((arg) => `'${arg}'`),
+          ].join(", ")})`
+        );
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog("Failed to evaluate script", error, { keys });
+      throw ErrorHandler.add_error("Failed to evaluate script", error, {
+        keys,
+      });
+    }
+  }
+
+  /**
+   * Publish a message to a channel
+   * @param {string} channel - Channel name
+   * @param {string|Object} message - Message to publish
+   * @returns {Promise<number>} Number of subscribers that received it
+   */
+  static async publish(channel, message) {
+    try {
+      const stringMessage =
+        typeof message === "object" ? JSON.stringify(message) : message;
+
+      Logger.writeLog("Publishing Redis message", { channel });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        return await staticClient.publish(channel, stringMessage);
+      } else {
+        Logger.writeLog("Redis PUBLISH via proxy", { channel });
+        const command = addEnvCommandPrefix(
+          `publish(#${channel}, '${stringMessage}')`
+        );
+        return await RedisHttpProxy(command);
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to publish to ${channel}`, error, { channel });
+      throw ErrorHandler.add_error(`Failed to publish to ${channel}`, error, {
+        channel,
+      });
+    }
+  }
+
+  /**
+   * Subscribe to a channel. Uses a dedicated connection, since a subscribed
+   * client cannot issue regular commands. Not available through the proxy.
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Called with (message, channel)
+   * @returns {Promise<boolean>}
+   */
+  static async subscribe(channel, handler) {
+    try {
+      Logger.writeLog("Subscribing to Redis channel", { channel });
+
+      if (
+        RedisClass.getEnvironment() === "production" ||
+        RedisClass.getEnvironment() === "stage"
+      ) {
+        if (!isConnected) {
+          throw ErrorHandler.add_error("Redis not connected");
+        }
+        if (!subscriberClient) {
+          subscriberClient = staticClient.duplicate();
+          subscriberClient.on("error", (err) => {
+            Logger.writeLog("Redis subscriber error", err);
+          });
+          await subscriberClient.connect();
+        }
+        await subscriberClient.subscribe(channel, handler);
+        return true;
+      } else {
+        Logger.writeLog("Redis SUBSCRIBE is not supported via proxy", {
+          channel,
+        });
+        return false;
+      }
+    } catch (error) {
+      Logger.writeLog(`Failed to subscribe to ${channel}`, error, { channel });
+      throw ErrorHandler.add_error(`Failed to subscribe to ${channel}`, error, {
+        channel,
+      });
+    }
+  }
+
+  /**
+   * Unsubscribe from a channel
+   * @param {string} channel - Channel name
+   * @param {Function} [handler] - Specific handler to remove (all if omitted)
+   * @returns {Promise<boolean>}
+   */
+  static async unsubscribe(channel, handler) {
+    try {
+      Logger.writeLog("Unsubscribing from Redis channel", { channel });
+
+      if (!subscriberClient) return false;
+      await subscriberClient.unsubscribe(channel, handler);
+      return true;
+    } catch (error) {
+      Logger.writeLog(`Failed to unsubscribe from ${channel}`, error, {
+        channel,
+      });
+      throw ErrorHandler.add_error(
+        `Failed to unsubscribe from ${channel}`,
+        error,
+        { channel }
+      );
+    }
+  }
   static async keys(pattern = "*") {
     try {
       Logger.writeLog("Fetching Redis keys", { pattern });
@@ -725,25 +1319,46 @@ class RedisClass {
           throw ErrorHandler.add_error("Redis not connected");
         }
 
-        let cursor = 0;
-        let keys = [];
+        // node-redis v5 returns the cursor as a string; SCAN may repeat keys across pages
+        let cursor = "0";
+        const keys = new Set();
 
         do {
           const reply = await staticClient.scan(cursor, {
             MATCH: pattern,
             COUNT: count,
           });
-          cursor = reply.cursor;
-          keys = keys.concat(reply.keys);
-        } while (cursor !== 0);
+          cursor = String(reply.cursor);
+          reply.keys.forEach((key) => keys.add(key));
+        } while (cursor !== "0");
 
-        return keys;
+        return [...keys];
       } else {
         Logger.writeLog("Redis SCAN via proxy", { pattern, count });
-        const command = addEnvCommandPrefix(
-          `scan(0, MATCH, ${pattern}, COUNT, ${count})`
-        );
-        return await RedisHttpProxy(command);
+        let cursor = "0";
+        const keys = new Set();
+
+        do {
+          const command = addEnvCommandPrefix(
+            `scan(${cursor}, MATCH, ${pattern}, COUNT, ${count})`
+          );
+          const raw = await RedisHttpProxy(command);
+          const reply =
+            raw && typeof raw === "object" && "result" in raw
+              ? raw.result
+              : raw;
+          // Raw SCAN reply is [cursor, keys]; a flat key list has no cursor to follow
+          const page =
+            Array.isArray(reply) && Array.isArray(reply[1])
+              ? { cursor: reply[0], keys: reply[1] }
+              : Array.isArray(reply)
+                ? { cursor: "0", keys: reply }
+                : { cursor: reply?.cursor ?? "0", keys: reply?.keys || [] };
+          cursor = String(page.cursor);
+          page.keys.forEach((key) => keys.add(key));
+        } while (cursor !== "0");
+
+        return [...keys];
       }
     } catch (error) {
       Logger.writeLog("Failed to scan keys", error, { pattern, count });